@@ -1,7 +1,8 @@
 /* Pro Website Performance Analyzer (single-file frontend)
    - Much richer analytics & graphs using Chart.js (CDN)
    - Works best in "Analyze Current Page" mode (same-origin).
-   - External URL mode uses a public CORS proxy (best-effort).
+   - External URL mode measures through the bundled proxy (node server/proxy.js).
+   - Observers live in collector.js (also injected into other pages by the bookmarklet).
    - Author: PerfLab (you can modify freely)
 */
 
@@ -14,16 +15,27 @@ const ms = n => (n === undefined || n === null) ? '-' : Math.round(n * 100) / 10
 const kb = bytes => (bytes === null || bytes === undefined || bytes === 0) ? '-' : Math.round(bytes / 1024 * 100) / 100;
 
 function safeText(s, len = 200) { if (!s) return ''; return (s + '').slice(0, len); }
+function esc(s) { return (s === null || s === undefined ? '' : s + '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]); }
+function code(s) { return `<code>${esc(s)}</code>`; }
 function downloadBlob(filename, blob) { const url = URL.createObjectURL(blob); const a = document.createElement('a'); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url); }
 
 /* ---------- DOM refs ---------- */
 const modeEl = $('mode');
 const urlRow = $('urlRow');
 const urlInput = $('urlInput');
+const proxyUrlInput = $('proxyUrlInput');
+const harRow = $('harRow');
+const harInput = $('harInput');
+const collectRow = $('collectRow');
+const collectUrlInput = $('collectUrlInput');
+const collectedInput = $('collectedInput');
 const analyzeBtn = $('analyzeBtn');
 const clearBtn = $('clearBtn');
 const exportJsonBtn = $('exportJson');
 const exportCsvBtn = $('exportCsv');
+const exportHarBtn = $('exportHar');
+const exportHtmlBtn = $('exportHtml');
+const shareLinkBtn = $('shareLink');
 const themeToggle = $('themeToggle');
 
 const summaryCard = $('summaryCard');
@@ -38,15 +50,35 @@ const summaryBytes = $('summaryBytes');
 const summaryTTFB = $('summaryTTFB');
 const summaryLCP = $('summaryLCP');
 const summaryCLS = $('summaryCLS');
-const summaryFID = $('summaryFID');
+const summaryFCP = $('summaryFCP');
+const summaryINP = $('summaryINP');
+const ttfbBreakdownEl = $('ttfbBreakdown');
+const vitalsAttributionEl = $('vitalsAttribution');
 const summaryLongTasks = $('summaryLongTasks');
+const summaryTBT = $('summaryTBT');
+const mainThreadCard = $('mainThreadCard');
+const mainThreadStatsEl = $('mainThreadStats');
+const blockingScriptsBody = document.querySelector('#blockingScriptsTable tbody');
 const perfScoreEl = $('perfScore');
+const scoreBreakdownEl = $('scoreBreakdown');
+const scoreProfileEl = $('scoreProfile');
+const scoreProfileInput = $('scoreProfileInput');
+const scoreProfileFileInput = $('scoreProfileFile');
 const suggestionsEl = $('suggestions');
+const budgetResultsEl = $('budgetResults');
+const budgetInput = $('budgetInput');
+const budgetFileInput = $('budgetFile');
 
 const cumBytesCanvas = $('cumBytesChart');
 const topSlowCanvas = $('topSlowChart');
 const typePieCanvas = $('typePieChart');
 const protocolCanvas = $('protocolChart');
+const entityCanvas = $('entityChart');
+const thirdPartyCard = $('thirdPartyCard');
+const thirdPartyBody = $('thirdPartyTable').querySelector('tbody');
+const thirdPartyGroupEl = $('thirdPartyGroup');
+const hideThirdPartiesEl = $('hideThirdParties');
+const entitiesInput = $('entitiesInput');
 
 const waterfallWrap = $('waterfallWrap');
 const resourcesTableBody = $('resourcesTable').querySelector('tbody');
@@ -54,398 +86,3678 @@ const rawOut = $('rawOut');
 const searchResource = $('searchResource');
 const copyUrlsBtn = $('copyUrls');
 
+const reportTagInput = $('reportTag');
+const historyListEl = $('historyList');
+const compareBtn = $('compareBtn');
+const clearHistoryBtn = $('clearHistoryBtn');
+const compareCard = $('compareCard');
+const compareTitle = $('compareTitle');
+const compareMetricsBody = $('compareMetrics').querySelector('tbody');
+const compareResourcesEl = $('compareResources');
+const compareCumCanvas = $('compareCumChart');
+const compareTypeCanvas = $('compareTypeChart');
+const rumUrlInput = $('rumUrlInput');
+const fieldFileInput = $('fieldFile');
+const fieldCard = $('fieldCard');
+const fieldMetaEl = $('fieldMeta');
+const fieldGroupEl = $('fieldGroup');
+const fieldTableEl = $('fieldTable');
+const fieldHistTitleEl = $('fieldHistTitle');
+const runCountEl = $('runCount');
+const cacheModeEl = $('cacheMode');
+const runFrameHost = $('runFrameHost');
+const runsCard = $('runsCard');
+const runsTableBody = document.querySelector('#runsTable tbody');
+const runsMetaEl = $('runsMeta');
+const runsCanvas = $('runsChart');
+const simulationCard = $('simulationCard');
+const simProfileEl = $('simProfile');
+const simulationBody = document.querySelector('#simulationTable tbody');
+const simInputs = { rtt: $('simRtt'), down: $('simDown'), up: $('simUp'), cpu: $('simCpu'), conns: $('simConns') };
+const cachingCard = $('cachingCard');
+const cachingStatsEl = $('cachingStats');
+const cachingBody = document.querySelector('#cachingTable tbody');
+const repeatAfterEl = $('repeatAfter');
+const imagesCard = $('imagesCard');
+const imagesStatsEl = $('imagesStats');
+const imagesTableHead = document.querySelector('#imagesTable thead');
+const imagesTableBody = document.querySelector('#imagesTable tbody');
+const imageQualityEl = $('imageQuality');
+const coverageCard = $('coverageCard');
+const coverageStatsEl = $('coverageStats');
+const coverageMetaEl = $('coverageMeta');
+const coverageTableBody = document.querySelector('#coverageTable tbody');
+const initiatorCard = $('initiatorCard');
+const initiatorMetaEl = $('initiatorMeta');
+const initiatorTreeEl = $('initiatorTree');
+const crawlRow = $('crawlRow');
+const crawlInput = $('crawlInput');
+const crawlConcurrencyEl = $('crawlConcurrency');
+const crawlLimitEl = $('crawlLimit');
+const proxyRow = $('proxyRow');
+const crawlCard = $('crawlCard');
+const crawlMetaEl = $('crawlMeta');
+const crawlTableHead = document.querySelector('#crawlTable thead');
+const crawlTableBody = document.querySelector('#crawlTable tbody');
+const crawlSharedEl = $('crawlShared');
+
 let charts = {}; // hold Chart.js instances
 
+// current-page mode needs the URL field too when repeated runs reload a page of this site
+const showUrlRow = () => urlRow.classList.toggle('hidden', modeEl.value !== 'external' && !(modeEl.value === 'current' && runSettings().count > 1));
+runCountEl.addEventListener('input', showUrlRow);
+
 modeEl.addEventListener('change', () => {
-  if (modeEl.value === 'external') urlRow.classList.remove('hidden');
-  else urlRow.classList.add('hidden');
+  showUrlRow();
+  harRow.classList.toggle('hidden', modeEl.value !== 'har');
+  collectRow.classList.toggle('hidden', modeEl.value !== 'collected');
+  crawlRow.classList.toggle('hidden', modeEl.value !== 'crawl');
+  proxyRow.classList.toggle('hidden', modeEl.value !== 'external' && modeEl.value !== 'crawl');
+});
+
+/* ---------- Analysis (current page) ---------- */
+// observers live in collector.js so the bookmarklet measures other pages the same way
+async function analyzeCurrent() {
+  const { count, cache } = runSettings();
+  if (count > 1) {
+    // repeated runs reload a page in a frame; reloading location.href would only measure PerfLab itself
+    const target = sameOriginPage(urlInput.value.trim());
+    if (!target) {
+      alert('Repeated runs reload a page in a frame. Enter a page of this site (other than PerfLab) in the URL field, or run once.');
+      setStatus('Repeated runs need a same-origin page');
+      return;
+    }
+    renderReport(await runMany(count, cache, mode => measureInFrame(target, mode)));
+    return;
+  }
+  setStatus('Collecting performance entries (current page)...');
+  const collector = PerfLabCollector.create({ collectLongTasks: $('collectLongTasks').checked });
+
+  // small wait to collect paint/LCP
+  await new Promise(r => setTimeout(r, 200));
+
+  const report = PerfLabCollector.serialize(collector.snapshot());
+  collector.disconnect();
+  setStatus('Reading cache headers...');
+  renderReport(await PerfLabCollector.fetchHeaders(report));
+}
+
+/* ---------- Analysis (collected from another page) ---------- */
+const collectedWindows = new Set(); // pages opened from PerfLab that may post a report back
+
+function bookmarkletHref() {
+  const src = new URL('collector.js', location.href).href;
+  return `javascript:(function(){var s=document.createElement('script');s.src=${JSON.stringify(src)};s.dataset.perflab='collect';document.body.appendChild(s);})();`;
+}
+
+// Validate a report produced by collector.js (pasted or posted) before rendering it
+function collectedReport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Collected data must be a JSON object');
+  if (typeof data.url !== 'string' || !Array.isArray(data.resources)) throw new Error('Not a PerfLab collector report (missing url/resources)');
+  const report = Object.assign({ paints: [], longTasks: [], longAnimationFrames: [], fcp: null, lcp: null, cls: null, inp: null }, data, { mode: 'collected' });
+  // pasted JSON may carry the vitals as strings; everything downstream formats them as numbers
+  ['fcp', 'lcp', 'cls', 'inp'].forEach(k => {
+    const v = report[k] === null || report[k] === '' ? NaN : Number(report[k]);
+    report[k] = isFinite(v) ? v : null;
+  });
+  return report;
+}
+
+function analyzeCollected(text) {
+  if (!text) { alert('Paste the JSON produced by the PerfLab bookmarklet'); setStatus('Ready'); return; }
+  try {
+    renderReport(collectedReport(JSON.parse(text)));
+  } catch (err) {
+    console.error(err);
+    alert('Collected report failed: ' + (err.message || err));
+    setStatus('Collected report failed');
+  }
+}
+
+window.addEventListener('message', (e) => {
+  if (!e.data || e.data.type !== PerfLabCollector.MESSAGE_TYPE) return;
+  if (!collectedWindows.has(e.source)) return; // only accept reports from pages we opened
+  try {
+    renderReport(collectedReport(e.data.report));
+    setStatus(`Report received from ${e.data.report.url}`);
+  } catch (err) { console.error(err); setStatus('Ignored invalid collector message'); }
+});
+
+$('openCollectTarget').addEventListener('click', () => {
+  const url = collectUrlInput.value.trim();
+  try { new URL(url); } catch (e) { alert('Invalid URL'); return; }
+  const w = window.open(url, '_blank');
+  if (!w) { alert('Popup blocked — allow popups for PerfLab'); return; }
+  collectedWindows.add(w);
+  setStatus('Waiting for the bookmarklet to be run on the opened page...');
+});
+
+/* ---------- Analysis (external URL) ---------- */
+// Measurements come from the bundled proxy (server/proxy.js), so timings exclude the browser<->proxy hop
+const DEFAULT_PROXY_URL = 'http://localhost:8787';
+const PROXY_STORAGE_KEY = 'perflab.proxyUrl';
+
+// the proxy URL as printed by server/proxy.js, including its per-start ?token=
+const proxySetting = () => proxyUrlInput.value.trim() || DEFAULT_PROXY_URL;
+
+function proxyBase() {
+  try {
+    const u = new URL(proxySetting());
+    return (u.origin + u.pathname).replace(/\/+$/, '');
+  } catch (e) { return proxySetting().replace(/\/+$/, ''); }
+}
+
+function proxyEndpoint(path, url) {
+  let token = '';
+  try { token = new URL(proxySetting()).searchParams.get('token') || ''; } catch (e) { /* no token */ }
+  return `${proxyBase()}${path}?url=${encodeURIComponent(url)}${token ? '&token=' + encodeURIComponent(token) : ''}`;
+}
+
+async function proxyMeasure(url, { body = false } = {}) {
+  const endpoint = `${proxyEndpoint('/measure', url)}${body ? '&body=1' : ''}`;
+  let resp;
+  try {
+    resp = await fetch(endpoint);
+  } catch (e) {
+    throw new Error(`Could not reach the PerfLab proxy at ${proxyBase()} — start it with "node server/proxy.js"`);
+  }
+  const data = await resp.json().catch(() => ({ error: 'Invalid proxy response (' + resp.status + ')' }));
+  if (!resp.ok || data.error) throw new Error(data.error || 'Proxy error ' + resp.status);
+  return data;
+}
+
+// Proxy measurement -> PerformanceResourceTiming-like object, placed at startTime on the report timeline
+function measurementToTiming(m, startTime) {
+  const t = m.timings;
+  const fetchStart = ms(startTime + t.redirect);
+  const domainLookupEnd = ms(fetchStart + t.dns);
+  const connectEnd = ms(domainLookupEnd + t.connect + t.tls);
+  const responseStart = ms(connectEnd + t.ttfb);
+  return {
+    name: m.finalUrl || m.url,
+    entryType: 'resource',
+    startTime,
+    duration: t.total,
+    redirectStart: t.redirect ? startTime : 0,
+    redirectEnd: t.redirect ? fetchStart : 0,
+    fetchStart,
+    domainLookupStart: fetchStart,
+    domainLookupEnd,
+    connectStart: domainLookupEnd,
+    secureConnectionStart: t.tls ? ms(domainLookupEnd + t.connect) : 0,
+    connectEnd,
+    requestStart: connectEnd,
+    responseStart,
+    responseEnd: ms(responseStart + t.download),
+    transferSize: (m.size.headers || 0) + m.size.compressed,
+    encodedBodySize: m.size.compressed,
+    decodedBodySize: m.size.uncompressed !== null ? m.size.uncompressed : m.size.compressed,
+    nextHopProtocol: m.httpVersion,
+    status: m.status,
+    statusText: m.statusText || '',
+    mimeType: m.mimeType || '',
+    responseHeaders: Object.keys(m.headers || {}).map(name => ({ name, value: [].concat(m.headers[name]).join(', ') })),
+    redirectCount: (m.redirects || []).length,
+  };
+}
+
+// parser-blocking script or stylesheet in <head> (what the browser would wait on before first paint)
+function isRenderBlocking(el) {
+  if (!el.closest('head')) return false;
+  if (el.localName === 'script') return !el.hasAttribute('async') && !el.hasAttribute('defer') && (el.getAttribute('type') || '').toLowerCase() !== 'module';
+  if (el.localName === 'link') {
+    const media = (el.getAttribute('media') || 'all').trim().toLowerCase();
+    return !el.hasAttribute('disabled') && (media === 'all' || media === 'screen');
+  }
+  return false;
+}
+
+/* resource discovery: what a desktop browser would fetch for a document or stylesheet */
+const DISCOVERY_VIEWPORT = 1366; // CSS px, DPR 1: picks srcset candidates and <source media>
+const DISCOVERY_VIEWPORT_HEIGHT = 768;
+const DISCOVERY_MAX_RESOURCES = 500;
+const DISCOVERY_PARALLEL = 6; // like a browser's per-host connection limit
+const IMAGE_TYPES = ['image/avif', 'image/webp', 'image/jpeg', 'image/png', 'image/gif', 'image/svg+xml'];
+
+// srcset candidate for a DISCOVERY_VIEWPORT-wide, 1x screen (sizes treated as 100vw)
+function srcsetCandidate(srcset) {
+  const list = [];
+  (srcset || '').replace(/(\S+?)(?:\s+([\d.]+)([wx]))?\s*(?:,\s*|$)/g, (m, url, n, unit) => {
+    if (url) list.push({ url, w: unit === 'w' ? Number(n) : null, x: unit === 'x' ? Number(n) : (unit ? null : 1) });
+    return '';
+  });
+  const byW = list.filter(c => c.w).sort((a, b) => a.w - b.w);
+  if (byW.length) return (byW.find(c => c.w >= DISCOVERY_VIEWPORT) || byW[byW.length - 1]).url;
+  const byX = list.filter(c => c.x).sort((a, b) => a.x - b.x);
+  return byX.length ? (byX.find(c => c.x >= 1) || byX[byX.length - 1]).url : null;
+}
+
+// media length / resolution in CSS px / dppx (em and rem at the default 16px), NaN when unparsed
+const mediaLength = v => { const m = /^([\d.]+)(px|em|rem)?$/.exec(v); return m ? Number(m[1]) * (m[2] === 'em' || m[2] === 'rem' ? 16 : 1) : NaN; };
+const mediaResolution = v => { const m = /^([\d.]+)(dppx|x|dpi)$/.exec(v); return m ? Number(m[1]) / (m[2] === 'dpi' ? 96 : 1) : NaN; };
+
+// one (feature: value) on the discovery screen, not PerfLab's own window; unknown features and values count as matching
+function mediaFeatureMatches(feature, value) {
+  const W = DISCOVERY_VIEWPORT, H = DISCOVERY_VIEWPORT_HEIGHT;
+  const test = (n, ok) => isNaN(n) || ok(n);
+  const checks = {
+    'width': v => test(mediaLength(v), n => W === n), 'min-width': v => test(mediaLength(v), n => W >= n), 'max-width': v => test(mediaLength(v), n => W <= n),
+    'height': v => test(mediaLength(v), n => H === n), 'min-height': v => test(mediaLength(v), n => H >= n), 'max-height': v => test(mediaLength(v), n => H <= n),
+    'orientation': v => v === (W >= H ? 'landscape' : 'portrait'),
+    'min-resolution': v => test(mediaResolution(v), n => 1 >= n), 'max-resolution': v => test(mediaResolution(v), n => 1 <= n),
+    '-webkit-min-device-pixel-ratio': v => test(Number(v), n => 1 >= n), '-webkit-max-device-pixel-ratio': v => test(Number(v), n => 1 <= n),
+  };
+  return !checks[feature] || value === undefined || checks[feature](value);
+}
+
+// <source media> for the DISCOVERY_VIEWPORT screen: a comma list matches when any query does
+function mediaMatches(media) {
+  if (!media || !media.trim()) return true;
+  return media.toLowerCase().split(',').some(query => {
+    const q = query.trim();
+    const negate = /^not\s/.test(q);
+    const type = (/^(?:not\s+|only\s+)?([a-z-]+)/.exec(q) || [])[1];
+    const features = (q.match(/\([^)]*\)/g) || []).map(f => /^\(\s*([a-z-]+)\s*(?::\s*(.+?))?\s*\)$/.exec(f));
+    const matches = (!type || type === 'all' || type === 'screen') && features.every(f => !f || mediaFeatureMatches(f[1], f[2]));
+    return negate ? !matches : matches;
+  });
+}
+
+// <picture> sources first (first one whose media and type apply), then srcset, then src
+function imageSource(img) {
+  if (img.parentElement && img.parentElement.localName === 'picture') {
+    for (const source of img.parentElement.querySelectorAll('source[srcset]')) {
+      const type = (source.getAttribute('type') || '').toLowerCase();
+      if (mediaMatches(source.getAttribute('media')) && (!type || IMAGE_TYPES.includes(type))) return srcsetCandidate(source.getAttribute('srcset'));
+    }
+  }
+  return srcsetCandidate(img.getAttribute('srcset')) || img.getAttribute('src');
+}
+
+function mediaSource(el) {
+  if ((el.getAttribute('preload') || '').toLowerCase() === 'none') return null;
+  const source = el.getAttribute('src') ? el : el.querySelector('source[src]');
+  return source ? source.getAttribute('src') : null;
+}
+
+// [selector, initiatorType, url reader, follow ('css' / 'document' bodies are parsed for more requests)]
+const DISCOVERY_RULES = [
+  ['link[rel~="stylesheet"][href]', 'link', el => el.getAttribute('href'), 'css'],
+  ['script[src]', 'script', el => el.getAttribute('src')],
+  ['link[rel~="preload"][href], link[rel~="modulepreload"][href]', 'link', el => el.getAttribute('href')],
+  ['link[rel~="icon"][href], link[rel~="apple-touch-icon"][href]', 'link', el => el.getAttribute('href')],
+  ['img', 'img', imageSource],
+  ['input[type="image"][src]', 'input', el => el.getAttribute('src')],
+  ['video[poster]', 'img', el => el.getAttribute('poster')],
+  ['video', 'video', mediaSource],
+  ['audio', 'audio', mediaSource],
+  ['iframe[src]', 'iframe', el => el.getAttribute('src'), 'document'],
+];
+
+// @import and url() references of a stylesheet; a @font-face only downloads its first url() source
+function cssReferences(css) {
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const urlRe = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+  const importRe = /@import\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1\s*\)?/gi;
+  const fontFaceRe = /@font-face\s*\{[^}]*\}/gi;
+  const refs = [];
+  text.replace(importRe, (m, q, url) => { refs.push({ url, follow: 'css' }); return ''; });
+  (text.match(fontFaceRe) || []).forEach(block => {
+    const first = new RegExp(urlRe.source, 'i').exec(block);
+    if (first) refs.push({ url: first[2].trim() });
+  });
+  text.replace(importRe, '').replace(fontFaceRe, '').replace(urlRe, (m, q, url) => { refs.push({ url: url.trim() }); return ''; });
+  return refs.filter(r => !/^(data:|about:|javascript:|#)/i.test(r.url));
+}
+
+const byteLength = s => new TextEncoder().encode(s || '').length;
+
+// Requests made by a parsed document; `top` marks the main document (render-blocking + inline bytes)
+function documentReferences(doc, base, top) {
+  const refs = [];
+  DISCOVERY_RULES.forEach(([selector, initiatorType, read, follow]) => {
+    doc.querySelectorAll(selector).forEach(el => {
+      const url = read(el);
+      if (url && url.trim()) refs.push({ url: url.trim(), initiatorType, follow, blocking: top && (follow === 'css' || initiatorType === 'script') && isRenderBlocking(el) });
+    });
+  });
+  // url() in <style> blocks and style="" attributes
+  doc.querySelectorAll('style').forEach(el => cssReferences(el.textContent).forEach(r => refs.push(Object.assign(r, { initiatorType: 'css' }))));
+  doc.querySelectorAll('[style]').forEach(el => cssReferences(el.getAttribute('style')).forEach(r => refs.push(Object.assign(r, { initiatorType: 'css' }))));
+  return refs.map(r => {
+    try { return Object.assign(r, { url: new URL(r.url, base).href }); } catch (e) { return null; }
+  }).filter(r => r && /^https?:/.test(r.url));
+}
+
+const documentBase = (doc, url) => {
+  const baseEl = doc.querySelector('base[href]');
+  try { return baseEl ? new URL(baseEl.getAttribute('href'), url).href : url; } catch (e) { return url; }
+};
+
+// One proxy run; cache 'cold' adds a cache-busting query parameter to every request so CDNs go to origin
+async function measureExternal(url, { cache = 'warm', quiet = false } = {}) {
+  const fetchUrl = u => cache === 'cold' ? cacheBust(u) : u;
+  const startedDateTime = new Date().toISOString();
+  const page = await proxyMeasure(fetchUrl(url), { body: true });
+  if (typeof page.body !== 'string') throw new Error(`Target did not return an HTML document (status ${page.status}, ${page.mimeType || 'unknown type'})`);
+  const pageUrl = stripCacheBust(page.finalUrl || url);
+  const doc = new DOMParser().parseFromString(page.body, 'text/html');
+
+  const hints = Array.from(doc.querySelectorAll('link[rel~="preconnect"][href], link[rel~="dns-prefetch"][href]'))
+    .map(l => ({ rel: l.getAttribute('rel'), href: l.getAttribute('href') }));
+  const inline = { scripts: 0, scriptBytes: 0, styles: 0, styleBytes: 0 };
+  doc.querySelectorAll('script:not([src])').forEach(el => {
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (type && !/javascript|ecmascript|^module$/.test(type)) return; // JSON-LD, templates...
+    inline.scripts++;
+    inline.scriptBytes += byteLength(el.textContent);
+  });
+  doc.querySelectorAll('style').forEach(el => { inline.styles++; inline.styleBytes += byteLength(el.textContent); });
+
+  // breadth-first: stylesheets and iframes found in one batch add their own references to the queue
+  const queue = [];
+  const seen = new Set([pageUrl]);
+  const enqueue = (refs, initiator, depth) => refs.forEach(r => {
+    if (seen.has(r.url) || seen.size > DISCOVERY_MAX_RESOURCES) return;
+    seen.add(r.url);
+    queue.push(Object.assign(r, { initiator, depth }));
+  });
+  const docBase = documentBase(doc, pageUrl);
+  enqueue(documentReferences(doc, docBase, true), pageUrl, 0);
+  // no layout here: sizes come from attributes only (a stylesheet's aspect-ratio is not seen)
+  const images = Array.from(doc.querySelectorAll('img')).map(img => {
+    const src = imageSource(img);
+    try { return src ? { url: new URL(src.trim(), docBase).href, hasSize: img.hasAttribute('width') && img.hasAttribute('height'), loading: img.getAttribute('loading') || 'eager' } : null; } catch (e) { return null; }
+  }).filter(i => i && /^https?:/.test(i.url));
+
+  const resources = [];
+  while (queue.length) {
+    if (!quiet) setStatus(`Measuring resources via proxy (${resources.length} done, ${queue.length} queued)...`);
+    const batch = queue.splice(0, DISCOVERY_PARALLEL);
+    const res = await Promise.all(batch.map(async item => {
+      const u = item.url;
+      try {
+        const m = await proxyMeasure(fetchUrl(u), { body: !!item.follow && item.depth < 2 });
+        const timing = Object.assign(measurementToTiming(m, ms(m.startedAt - page.startedAt)), { name: u, initiatorType: item.initiatorType, initiator: item.initiator });
+        if (item.blocking) timing.renderBlockingStatus = 'blocking';
+        if (typeof m.body === 'string' && m.status < 400) {
+          const base = stripCacheBust(m.finalUrl || u);
+          if (item.follow === 'css') {
+            // @import inside a render-blocking stylesheet blocks rendering too
+            enqueue(cssReferences(m.body).map(r => {
+              try { return Object.assign(r, { url: new URL(r.url, base).href, initiatorType: 'css', blocking: item.blocking && r.follow === 'css' }); } catch (e) { return null; }
+            }).filter(Boolean), u, item.depth + 1);
+          } else if (item.follow === 'document' && /html/.test(m.mimeType || '')) {
+            const frameDoc = new DOMParser().parseFromString(m.body, 'text/html');
+            enqueue(documentReferences(frameDoc, documentBase(frameDoc, base), false), u, item.depth + 1);
+          }
+        }
+        return timing;
+      } catch (e) {
+        return { name: u, initiatorType: item.initiatorType, initiator: item.initiator, startTime: ms(Date.now() - page.startedAt), duration: '-', transferSize: null, error: true, errorMessage: e.message || String(e) };
+      }
+    }));
+    resources.push(...res);
+  }
+
+  const nav = Object.assign(measurementToTiming(page, 0), { entryType: 'navigation', name: pageUrl });
+
+  return {
+    mode: 'external',
+    url,
+    startedDateTime,
+    title: doc.querySelector('title') ? doc.querySelector('title').textContent : '',
+    hints,
+    nav,
+    paints: [],
+    resources,
+    inline,
+    images,
+    fcp: null, lcp: null, cls: null, inp: null, longTasks: []
+  };
+}
+
+async function analyzeExternal(url) {
+  if (!url) { alert('Enter external URL'); return; }
+  localStorage.setItem(PROXY_STORAGE_KEY, proxySetting());
+  setStatus(`Measuring ${url} via local proxy...`);
+
+  try {
+    const { count, cache } = runSettings();
+    renderReport(count > 1 ? await runMany(count, cache, mode => measureExternal(url, { cache: mode })) : await measureExternal(url));
+  } catch (err) {
+    console.error(err);
+    alert('External analysis failed: ' + (err.message || err));
+    setStatus('External analysis failed');
+  }
+}
+
+/* ---------- Multi-run ---------- */
+const MAX_RUNS = 20;
+const CACHE_BUST_PARAM = '_perflab';
+const RUN_TIMEOUT_MS = 60000;
+const RUN_SETTLE_MS = 1500; // after load, give LCP / layout shifts / long tasks time to land
+const RUN_METRICS = [
+  { key: 'ttfb', label: 'TTFB (ms)', fmt: v => ms(v), chart: true },
+  { key: 'fcp', label: 'FCP (ms)', fmt: v => ms(v), chart: true },
+  { key: 'lcp', label: 'LCP (ms)', fmt: v => ms(v), chart: true },
+  { key: 'tbt', label: 'TBT (ms)', fmt: v => ms(v), chart: true },
+  { key: 'cls', label: 'CLS', fmt: v => v.toFixed(3) },
+  { key: 'inp', label: 'INP (ms)', fmt: v => ms(v) },
+  { key: 'longTasks', label: 'Long tasks', fmt: v => ms(v) },
+  { key: 'requests', label: 'Requests', fmt: v => ms(v) },
+  { key: 'totalBytes', label: 'Total Transfer (KB)', fmt: v => kb(v) || 0 },
+  { key: 'score', label: 'Score', fmt: v => Math.round(v) },
+];
+
+function runSettings() {
+  const count = Math.min(MAX_RUNS, Math.max(1, parseInt(runCountEl.value, 10) || 1));
+  return { count, cache: cacheModeEl.value };
+}
+
+// absolute URL of a same-origin page that isn't PerfLab's own, else null
+function sameOriginPage(value) {
+  if (!value) return null;
+  try {
+    const u = new URL(value, location.href);
+    return u.origin === location.origin && u.pathname !== location.pathname ? u.href : null;
+  } catch (e) { return null; }
+}
+
+function cacheBust(url) {
+  const u = new URL(url);
+  u.searchParams.set(CACHE_BUST_PARAM, Date.now().toString(36) + Math.random().toString(36).slice(2, 6));
+  return u.href;
+}
+
+function stripCacheBust(url) {
+  try {
+    const u = new URL(url);
+    if (!u.searchParams.has(CACHE_BUST_PARAM)) return url;
+    u.searchParams.delete(CACHE_BUST_PARAM);
+    return u.href;
+  } catch (e) { return url; }
+}
+
+// { median, min, max, stddev, mean, n } over the finite values, null when there are none
+function runStats(values) {
+  const v = values.filter(x => typeof x === 'number' && isFinite(x)).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mean = v.reduce((sum, x) => sum + x, 0) / v.length;
+  const variance = v.length > 1 ? v.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / (v.length - 1) : 0;
+  return { median: percentile(v, 50), min: v[0], max: v[v.length - 1], stddev: Math.sqrt(variance), mean, n: v.length };
+}
+
+// Load a same-origin page in an off-screen frame and collect it with collector.js from inside the frame
+function measureInFrame(url, cache) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe');
+    let timer = null;
+    const finish = (err, report) => {
+      clearTimeout(timer);
+      frame.remove();
+      runFrameHost.classList.toggle('hidden', runFrameHost.querySelector('iframe') === null);
+      if (err) reject(err); else resolve(report);
+    };
+    timer = setTimeout(() => finish(new Error(`Run timed out after ${RUN_TIMEOUT_MS / 1000} s`)), RUN_TIMEOUT_MS);
+    frame.addEventListener('load', async () => {
+      try {
+        const w = frame.contentWindow;
+        if (!w.PerfLabCollector) {
+          const collectorSrc = document.querySelector('script[src$="collector.js"]').src;
+          await new Promise((res, rej) => {
+            const sc = w.document.createElement('script');
+            sc.src = collectorSrc;
+            sc.onload = res;
+            sc.onerror = () => rej(new Error('Could not load collector.js into the page'));
+            w.document.head.appendChild(sc);
+          });
+        }
+        const collector = w.PerfLabCollector.create({ collectLongTasks: $('collectLongTasks').checked });
+        await new Promise(r => setTimeout(r, RUN_SETTLE_MS));
+        const report = PerfLabCollector.serialize(collector.snapshot());
+        collector.disconnect();
+        report.url = stripCacheBust(report.url);
+        await PerfLabCollector.fetchHeaders(report);
+        finish(null, report);
+      } catch (e) {
+        finish(new Error('Could not measure the page in a frame (it must be same-origin and allow framing): ' + (e.message || e)));
+      }
+    });
+    frame.src = cache === 'cold' ? cacheBust(url) : url;
+    runFrameHost.classList.remove('hidden');
+    runFrameHost.appendChild(frame);
+  });
+}
+
+// Run measure(cacheMode) count times; 'alternate' starts cold, 'warm' primes the cache with an unrecorded run
+async function runMany(count, cache, measure) {
+  if (cache === 'warm') {
+    setStatus('Priming cache (run not recorded)...');
+    await measure('warm');
+  }
+  const runs = [];
+  for (let i = 0; i < count; i++) {
+    const mode = cache === 'alternate' ? (i % 2 ? 'warm' : 'cold') : cache;
+    setStatus(`Run ${i + 1}/${count} (${mode} cache)...`);
+    const report = await measure(mode);
+    report.run = { index: i, cache: mode };
+    runs.push(report);
+  }
+  return aggregateRuns(runs, cache);
+}
+
+// Aggregate report: the run closest to the medians (so its waterfall and score are representative),
+// plus median/min/max/stddev of every summary metric and every resource's duration, plus all runs
+function aggregateRuns(runs, cache) {
+  const summaries = runs.map(r => summarizeReport(r));
+  const metricStats = list => {
+    const out = {};
+    RUN_METRICS.forEach(m => { out[m.key] = runStats(list.map(x => x[m.key])); });
+    return out;
+  };
+  const metrics = metricStats(summaries);
+  const byCache = {};
+  ['cold', 'warm'].forEach(mode => {
+    const list = summaries.filter((_, i) => runs[i].run.cache === mode);
+    if (list.length) byCache[mode] = metricStats(list);
+  });
+
+  const keys = ['ttfb', 'fcp', 'lcp', 'tbt'].filter(k => metrics[k] && metrics[k].median > 0);
+  let medianRun = 0, best = Infinity;
+  summaries.forEach((sm, i) => {
+    const dist = keys.length
+      ? keys.reduce((sum, k) => sum + Math.abs((sm[k] || 0) - metrics[k].median) / metrics[k].median, 0)
+      : Math.abs(sm.score - metrics.score.median);
+    if (dist < best) { best = dist; medianRun = i; }
+  });
+
+  // the same URL can be requested more than once per run: key on URL + occurrence
+  const durations = new Map();
+  const resourceKeys = runs.map(r => {
+    const seen = {};
+    return (r.resources || []).map(res => {
+      const url = stripCacheBust(res.name || res.url || '');
+      seen[url] = (seen[url] || 0) + 1;
+      const key = url + '#' + seen[url];
+      if (!durations.has(key)) durations.set(key, { url, values: [] });
+      durations.get(key).values.push(Number(res.duration));
+      return key;
+    });
+  });
+  const resourceStats = Array.from(durations.values()).map(d => ({ url: d.url, duration: runStats(d.values) }));
+  const statsByKey = new Map(Array.from(durations.keys()).map((k, i) => [k, resourceStats[i].duration]));
+
+  const rep = runs[medianRun];
+  return Object.assign({}, rep, {
+    resources: (rep.resources || []).map((r, i) => Object.assign({}, r, { durationStats: statsByKey.get(resourceKeys[medianRun][i]) })),
+    multiRun: { count: runs.length, cache, medianRun, metrics, byCache, resources: resourceStats },
+    runs,
+  });
+}
+
+// the score spread follows the current scoring profile; the other metrics don't depend on it
+function rescoreRuns(report) {
+  const mr = report.multiRun;
+  if (!report.runs) return;
+  const scores = report.runs.map(r => summarizeReport(r).score);
+  mr.metrics.score = runStats(scores);
+  Object.keys(mr.byCache).forEach(mode => { mr.byCache[mode].score = runStats(scores.filter((_, i) => report.runs[i].run.cache === mode)); });
+}
+
+// Chart.js plugin: whiskers from dataset.errorBars[i] = { min, max }, in the value axis' units
+const errorBarsPlugin = {
+  id: 'errorBars',
+  afterDatasetsDraw(chart) {
+    const ctx = chart.ctx;
+    const horizontal = chart.options.indexAxis === 'y';
+    const scale = horizontal ? chart.scales.x : chart.scales.y;
+    chart.data.datasets.forEach((ds, di) => {
+      const meta = chart.getDatasetMeta(di);
+      if (!ds.errorBars || meta.hidden) return;
+      meta.data.forEach((bar, i) => {
+        const e = ds.errorBars[i];
+        if (!e) return;
+        const a = scale.getPixelForValue(e.min), b = scale.getPixelForValue(e.max);
+        ctx.save();
+        ctx.strokeStyle = getComputedStyle(document.body).getPropertyValue('--text').trim() || '#e6eef6';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        if (horizontal) {
+          ctx.moveTo(a, bar.y); ctx.lineTo(b, bar.y);
+          ctx.moveTo(a, bar.y - 4); ctx.lineTo(a, bar.y + 4);
+          ctx.moveTo(b, bar.y - 4); ctx.lineTo(b, bar.y + 4);
+        } else {
+          ctx.moveTo(bar.x, a); ctx.lineTo(bar.x, b);
+          ctx.moveTo(bar.x - 4, a); ctx.lineTo(bar.x + 4, a);
+          ctx.moveTo(bar.x - 4, b); ctx.lineTo(bar.x + 4, b);
+        }
+        ctx.stroke();
+        ctx.restore();
+      });
+    });
+  }
+};
+
+function buildRuns(report) {
+  const mr = report.multiRun;
+  if (!mr) { runsCard.classList.add('hidden'); return; }
+  runsCard.classList.remove('hidden');
+  rescoreRuns(report);
+  let cacheLabel = { cold: 'cold cache', warm: 'warm cache', alternate: 'alternating cold / warm' }[mr.cache] || mr.cache;
+  // the proxy keeps no HTTP cache, so "warm" there only means the origin / CDN has seen the URL before
+  if (mr.cache !== 'cold' && !LIVE_MODES.includes(report.mode)) cacheLabel += ' (server / CDN cache only, not a browser repeat view)';
+  // framed runs only cache-bust the document: from run 2 on its subresources come from the browser cache
+  if (mr.cache !== 'warm' && LIVE_MODES.includes(report.mode)) cacheLabel += ' (cold = document only; scripts, styles, images and fonts stay cached after run 1)';
+  runsMetaEl.textContent = `${mr.count} runs · ${cacheLabel} · showing run ${mr.medianRun + 1} (closest to the medians)`;
+  const coldName = LIVE_MODES.includes(report.mode) ? 'Cold document' : 'Cold';
+  document.querySelector('#runsTable thead th:nth-child(6)').textContent = `${coldName} median`;
+
+  const f = (m, st, k) => st ? m.fmt(st[k]) : '-';
+  runsTableBody.innerHTML = RUN_METRICS.filter(m => mr.metrics[m.key]).map(m => {
+    const st = mr.metrics[m.key];
+    return `<tr><td>${m.label}</td><td>${f(m, st, 'median')}</td><td>${f(m, st, 'min')}</td><td>${f(m, st, 'max')}</td><td>${f(m, st, 'stddev')}</td>
+      <td>${mr.byCache.cold ? f(m, mr.byCache.cold[m.key], 'median') : '-'}</td><td>${mr.byCache.warm ? f(m, mr.byCache.warm[m.key], 'median') : '-'}</td></tr>`;
+  }).join('');
+
+  // medians with min/max whiskers, one dataset per cache mode
+  const chartMetrics = RUN_METRICS.filter(m => m.chart && mr.metrics[m.key]);
+  const groups = Object.keys(mr.byCache).length > 1 ? Object.keys(mr.byCache).map(k => [k === 'cold' ? coldName : 'Warm', mr.byCache[k]]) : [['All runs', mr.metrics]];
+  if (charts.runs) charts.runs.destroy();
+  charts.runs = new Chart(runsCanvas, {
+    type: 'bar',
+    data: {
+      labels: chartMetrics.map(m => m.label),
+      datasets: groups.map(([label, st]) => ({
+        label,
+        data: chartMetrics.map(m => st[m.key] ? ms(st[m.key].median) : null),
+        errorBars: chartMetrics.map(m => st[m.key] ? { min: st[m.key].min, max: st[m.key].max } : null),
+      })),
+    },
+    options: { scales: { y: { beginAtZero: true, title: { display: true, text: 'ms (median, min–max)' } } } },
+    plugins: [errorBarsPlugin],
+  });
+}
+
+/* ---------- Batch crawl ---------- */
+const CRAWL_MAX_PAGES = 200;
+const CRAWL_MAX_SITEMAPS = 20; // child sitemaps followed from a sitemap index
+const SHARED_RESOURCE_SHARE = 0.5; // "shared" = on more than half of the crawled pages
+const CRAWL_COLUMNS = [
+  { key: 'url', label: 'Page', fmt: p => `<span class="mono" title="${esc(p.url)}">${esc(safeText(p.url, 80))}</span>` },
+  { key: 'score', label: 'Score', fmt: p => p.score === null ? '-' : Math.round(p.score) },
+  { key: 'ttfb', label: 'TTFB (ms)', fmt: p => p.ttfb === null ? '-' : ms(p.ttfb) },
+  { key: 'totalBytes', label: 'Transfer (KB)', fmt: p => kb(p.totalBytes) || 0 },
+  { key: 'requests', label: 'Requests', fmt: p => p.requests },
+  { key: 'failed', label: 'Failed', fmt: p => p.failed ? `<span class="delta-bad">${p.failed}</span>` : 0 },
+];
+let lastCrawl = null;
+let crawlSort = { key: 'score', dir: 1 };
+
+const isSitemapXml = text => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(urlset|sitemapindex)\b/.test(text);
+
+// <loc> entries of a sitemap; { pages, sitemaps } so an index can be followed
+function parseSitemap(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('Invalid sitemap XML');
+  const locs = sel => Array.from(doc.querySelectorAll(sel)).map(el => el.textContent.trim()).filter(Boolean);
+  return { pages: locs('url > loc'), sitemaps: locs('sitemap > loc') };
+}
+
+async function fetchSitemap(url) {
+  const m = await proxyMeasure(url, { body: true });
+  if (m.status >= 400) throw new Error(`Sitemap ${url} returned ${m.status}`);
+  if (typeof m.body !== 'string') throw new Error(`Sitemap ${url} is not a text document (gzipped sitemaps are not supported)`);
+  return parseSitemap(m.body);
+}
+
+// Crawl input -> unique page URLs: one URL per line, sitemap.xml URLs, or pasted sitemap XML
+async function crawlTargets(text, limit) {
+  let pages = [], sitemaps = [];
+  if (isSitemapXml(text)) {
+    ({ pages, sitemaps } = parseSitemap(text));
+  } else {
+    text.split(/\s+/).filter(Boolean).forEach(line => {
+      try { new URL(line); } catch (e) { throw new Error(`Not a URL: ${line}`); }
+      (/\.xml(\?|$)/i.test(line) ? sitemaps : pages).push(line);
+    });
+  }
+  for (let i = 0; i < sitemaps.length && i < CRAWL_MAX_SITEMAPS && pages.length < limit; i++) {
+    setStatus(`Reading sitemap ${sitemaps[i]}...`);
+    const found = await fetchSitemap(sitemaps[i]);
+    pages.push(...found.pages);
+    sitemaps.push(...found.sitemaps.filter(s => !sitemaps.includes(s)));
+  }
+  return Array.from(new Set(pages)).slice(0, limit);
+}
+
+// Run worker(item) over items with at most `limit` in flight; results keep the input order
+async function mapLimit(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  return results;
+}
+
+function crawlPageSummary(url, report) {
+  const summary = summarizeReport(report);
+  const failed = resourceModel(report).filter(r => r.error || r.status >= 400).length;
+  return { url, report, score: summary.score, ttfb: summary.ttfb, totalBytes: summary.totalBytes, requests: summary.requests, failed };
+}
+
+// Resources (by URL) that most crawled pages load: the best candidates for site-wide fixes
+function sharedResources(pages) {
+  const ok = pages.filter(p => p.report);
+  const byUrl = new Map();
+  ok.forEach(p => {
+    const seen = new Set();
+    resourceModel(p.report).forEach(r => {
+      const url = stripCacheBust(r.url);
+      if (seen.has(url)) return;
+      seen.add(url);
+      if (!byUrl.has(url)) byUrl.set(url, { url, type: r.type, entity: r.entity, firstParty: r.firstParty, pages: 0, bytes: 0, duration: 0 });
+      const s = byUrl.get(url);
+      s.pages++;
+      s.bytes += r.transfer;
+      s.duration += r.duration || 0;
+    });
+  });
+  return Array.from(byUrl.values())
+    .filter(s => s.pages >= 2 && s.pages > ok.length * SHARED_RESOURCE_SHARE)
+    .map(s => Object.assign(s, { avgBytes: s.bytes / s.pages, avgDuration: s.duration / s.pages }))
+    .sort((a, b) => b.bytes - a.bytes || b.pages - a.pages);
+}
+
+async function analyzeCrawl(text) {
+  if (!text) { alert('Enter page URLs (one per line) or a sitemap.xml URL'); return; }
+  localStorage.setItem(PROXY_STORAGE_KEY, proxySetting());
+  const concurrency = Math.min(6, Math.max(1, parseInt(crawlConcurrencyEl.value, 10) || 3));
+  const limit = Math.min(CRAWL_MAX_PAGES, Math.max(1, parseInt(crawlLimitEl.value, 10) || CRAWL_MAX_PAGES));
+  const cache = cacheModeEl.value === 'cold' ? 'cold' : 'warm';
+  try {
+    const urls = await crawlTargets(text, limit);
+    if (urls.length === 0) { alert('No page URLs found'); setStatus('Ready'); return; }
+    let done = 0, failed = 0;
+    setStatus(`Crawling 0/${urls.length} pages...`);
+    const pages = await mapLimit(urls, concurrency, async url => {
+      let page;
+      try {
+        page = crawlPageSummary(url, await measureExternal(url, { cache, quiet: true }));
+      } catch (e) {
+        failed++;
+        page = { url, report: null, error: e.message || String(e), score: null, ttfb: null, totalBytes: null, requests: null, failed: null };
+      }
+      done++;
+      setStatus(`Crawling ${done}/${urls.length} pages${failed ? ` (${failed} failed)` : ''}...`);
+      return page;
+    });
+    lastCrawl = { startedDateTime: new Date().toISOString(), cache, pages, shared: sharedResources(pages) };
+    renderCrawl(lastCrawl);
+    setStatus(`Crawled ${pages.length} pages${failed ? `, ${failed} failed` : ''}`);
+  } catch (err) {
+    console.error(err);
+    alert('Crawl failed: ' + (err.message || err));
+    setStatus('Crawl failed');
+  }
+}
+
+function renderCrawl(crawl) {
+  crawlCard.classList.remove('hidden');
+  const ok = crawl.pages.filter(p => p.report);
+  const median = key => { const st = runStats(ok.map(p => p[key])); return st ? st.median : null; };
+  const score = median('score'), ttfb = median('ttfb'); // null when no page measured them
+  crawlMetaEl.textContent = `${crawl.pages.length} pages · ${crawl.pages.length - ok.length} failed · median score ${score === null ? '-' : Math.round(score)} · median TTFB ${ttfb === null ? '-' : ms(ttfb) + ' ms'}`;
+  renderCrawlPages(crawl);
+
+  const shared = crawl.shared;
+  crawlSharedEl.innerHTML = shared.length ? `<table class="res-table">
+      <thead><tr><th>Shared resource</th><th>Type</th><th>Party</th><th>Pages</th><th>Avg KB</th><th>Avg ms</th><th>KB across crawl</th></tr></thead>
+      <tbody>${shared.map(s => `<tr><td class="mono" title="${esc(s.url)}"><span class="shared-flag">shared</span> ${esc(safeText(s.url, 70))}</td><td>${esc(s.type)}</td><td>${s.firstParty ? 'first' : esc(s.entity)}</td>
+        <td>${s.pages}/${ok.length}</td><td>${kb(s.avgBytes) || 0}</td><td>${ms(s.avgDuration)}</td><td>${kb(s.bytes) || 0}</td></tr>`).join('')}</tbody>
+    </table>` : '<div class="muted">No resource is loaded by most of the crawled pages.</div>';
+}
+
+function renderCrawlPages(crawl) {
+  const { key, dir } = crawlSort;
+  // failed pages, then pages without a value (e.g. no score), always sort last
+  const pages = crawl.pages.map((p, i) => Object.assign({ i }, p)).sort((a, b) => {
+    if (!a.report || !b.report) return (a.report ? -1 : 1) - (b.report ? -1 : 1) || a.i - b.i;
+    const missing = p => p[key] === null || p[key] === undefined;
+    if (missing(a) || missing(b)) return missing(a) - missing(b) || a.i - b.i;
+    return (key === 'url' ? a.url.localeCompare(b.url) : a[key] - b[key]) * dir;
+  });
+  crawlTableHead.innerHTML = '<tr>' + CRAWL_COLUMNS.map(c => `<th data-sort="${c.key}" class="sortable${c.key === key ? (dir > 0 ? ' asc' : ' desc') : ''}">${c.label}</th>`).join('') + '</tr>';
+  crawlTableBody.innerHTML = pages.map(p => p.report
+    ? `<tr data-page="${p.i}" tabindex="0">${CRAWL_COLUMNS.map(c => `<td>${c.fmt(p)}</td>`).join('')}</tr>`
+    : `<tr class="crawl-error"><td class="mono" title="${esc(p.url)}">${esc(safeText(p.url, 80))}</td><td colspan="${CRAWL_COLUMNS.length - 1}" class="delta-bad">${esc(p.error)}</td></tr>`).join('');
+}
+
+crawlTableHead.addEventListener('click', (e) => {
+  const th = e.target.closest('th[data-sort]');
+  if (!th || !lastCrawl) return;
+  crawlSort = th.dataset.sort === crawlSort.key ? { key: crawlSort.key, dir: -crawlSort.dir } : { key: th.dataset.sort, dir: ['url', 'score'].includes(th.dataset.sort) ? 1 : -1 };
+  renderCrawlPages(lastCrawl);
 });
 
-/* ---------- Perf Observers for current page ---------- */
-let lcp = null, cls = 0, fid = null;
-let lcpObserver, clsObserver, fidObserver, longTaskObserver;
-let longTasks = [];
+// drill down: a crawled page opens as a normal report
+function openCrawlPage(tr) {
+  const page = lastCrawl && lastCrawl.pages[Number(tr.dataset.page)];
+  if (!page || !page.report) return;
+  crawlTableBody.querySelectorAll('tr.selected').forEach(x => x.classList.remove('selected'));
+  tr.classList.add('selected');
+  renderReport(page.report, { save: false });
+  summaryCard.scrollIntoView({ behavior: 'smooth' });
+}
+crawlTableBody.addEventListener('click', (e) => { const tr = e.target.closest('tr[data-page]'); if (tr) openCrawlPage(tr); });
+crawlTableBody.addEventListener('keydown', (e) => { const tr = e.target.closest('tr[data-page]'); if (tr && e.key === 'Enter') openCrawlPage(tr); });
+
+/* ---------- HAR import / export ---------- */
+// HAR `_resourceType` (Chrome/Firefox exports) -> closest PerformanceResourceTiming initiatorType
+const HAR_INITIATOR_TYPES = { document: 'navigation', stylesheet: 'link', script: 'script', image: 'img', font: 'css', xhr: 'xmlhttprequest', fetch: 'fetch', media: 'video', ping: 'beacon' };
+
+function harProtocol(httpVersion) {
+  const v = (httpVersion || '').toLowerCase();
+  if (!v) return 'unknown';
+  if (v === 'h2' || v.startsWith('http/2')) return 'h2';
+  if (v === 'h3' || v.startsWith('http/3')) return 'h3';
+  return v;
+}
+
+function harHttpVersion(protocol) {
+  const p = (protocol || '').toLowerCase();
+  if (p === 'h2') return 'HTTP/2.0';
+  if (p === 'h3') return 'HTTP/3';
+  if (p.startsWith('http/')) return p.toUpperCase();
+  return '';
+}
+
+// Chrome's `_initiator`: the parser's document, or the nearest script frame on the call stack
+function harInitiatorUrl(initiator) {
+  if (!initiator) return undefined;
+  if (initiator.url) return initiator.url;
+  for (let st = initiator.stack; st; st = st.parent) {
+    const frame = (st.callFrames || []).find(f => f.url);
+    if (frame) return frame.url;
+  }
+  return undefined;
+}
+
+// Convert one HAR entry into a PerformanceResourceTiming-like object (times relative to t0)
+function harEntryToResource(entry, t0) {
+  const t = entry.timings || {};
+  const phase = v => (typeof v === 'number' && v > 0) ? v : 0;
+  const req = entry.request || {};
+  const resp = entry.response || {};
+  const content = resp.content || {};
+
+  const startTime = Date.parse(entry.startedDateTime) - t0;
+  const domainLookupStart = startTime + phase(t.blocked);
+  const domainLookupEnd = domainLookupStart + phase(t.dns);
+  const connectStart = domainLookupEnd;
+  const connectEnd = connectStart + phase(t.connect); // HAR connect already includes ssl
+  const requestStart = connectEnd;
+  const responseStart = requestStart + phase(t.send) + phase(t.wait);
+  const responseEnd = responseStart + phase(t.receive);
+  const bodySize = resp.bodySize > 0 ? resp.bodySize : 0;
+  const transferSize = resp._transferSize > 0 ? resp._transferSize : (resp.headersSize > 0 ? resp.headersSize : 0) + bodySize;
+
+  return {
+    name: req.url || '',
+    entryType: 'resource',
+    initiatorType: HAR_INITIATOR_TYPES[entry._resourceType] || entry._resourceType || 'other',
+    initiator: harInitiatorUrl(entry._initiator),
+    startTime,
+    duration: typeof entry.time === 'number' && entry.time >= 0 ? entry.time : responseEnd - startTime,
+    fetchStart: domainLookupStart,
+    domainLookupStart, domainLookupEnd, connectStart, connectEnd,
+    secureConnectionStart: phase(t.ssl) ? connectEnd - t.ssl : 0,
+    requestStart, responseStart, responseEnd,
+    transferSize,
+    encodedBodySize: bodySize || content.size || 0,
+    decodedBodySize: content.size > 0 ? content.size : bodySize,
+    nextHopProtocol: harProtocol(resp.httpVersion || req.httpVersion),
+    method: req.method || 'GET',
+    status: resp.status || 0,
+    statusText: resp.statusText || '',
+    mimeType: content.mimeType || '',
+    requestHeaders: req.headers || [],
+    responseHeaders: resp.headers || [],
+  };
+}
+
+// Parse a HAR 1.2 document into the report shape consumed by renderReport()
+function parseHar(har) {
+  const log = har && har.log;
+  if (!log || !Array.isArray(log.entries)) throw new Error('Not a HAR file (missing log.entries)');
+  if (log.entries.length === 0) throw new Error('HAR file has no entries');
+
+  const page = (log.pages || [])[0] || null;
+  const entries = (page ? log.entries.filter(e => !e.pageref || e.pageref === page.id) : log.entries)
+    .slice().sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime));
+  const t0 = page && !isNaN(Date.parse(page.startedDateTime)) ? Date.parse(page.startedDateTime) : Date.parse(entries[0].startedDateTime);
+
+  const all = entries.map(e => harEntryToResource(e, t0));
+  let docIdx = entries.findIndex(e => e._resourceType === 'document');
+  if (docIdx < 0) docIdx = all.findIndex(r => /html/i.test(r.mimeType));
+  if (docIdx < 0) docIdx = 0;
+  const doc = all[docIdx];
+  const timings = (page && page.pageTimings) || {};
+
+  const nav = Object.assign({}, doc, {
+    entryType: 'navigation',
+    domContentLoadedEventEnd: timings.onContentLoad > 0 ? timings.onContentLoad : undefined,
+    loadEventEnd: timings.onLoad > 0 ? timings.onLoad : undefined,
+  });
+
+  return {
+    mode: 'har',
+    url: doc.name,
+    startedDateTime: new Date(t0).toISOString(),
+    title: (page && page.title) || '',
+    nav,
+    paints: [],
+    resources: all.filter((r, i) => i !== docIdx),
+    fcp: null, lcp: null, cls: null, inp: null, longTasks: []
+  };
+}
+
+// HAR timings for a resource; falls back to a single wait phase when detail is unavailable (e.g. cross-origin)
+function harTimings(r) {
+  const duration = Number(r.duration) || 0;
+  if (!r.requestStart || !r.responseEnd) return { blocked: 0, dns: -1, connect: -1, ssl: -1, send: 0, wait: duration, receive: 0 };
+  const dns = Math.max(0, (r.domainLookupEnd || 0) - (r.domainLookupStart || 0));
+  const connect = Math.max(0, (r.connectEnd || 0) - (r.connectStart || 0));
+  const ssl = r.secureConnectionStart > 0 ? Math.max(0, r.connectEnd - r.secureConnectionStart) : -1;
+  const wait = Math.max(0, r.responseStart - r.requestStart);
+  const receive = Math.max(0, r.responseEnd - r.responseStart);
+  const blocked = Math.max(0, duration - dns - connect - wait - receive);
+  return { blocked, dns, connect, ssl, send: 0, wait, receive };
+}
+
+function resourceToHarEntry(r, t0) {
+  const url = r.name || r.url || '';
+  const httpVersion = harHttpVersion(r.nextHopProtocol || r.protocol);
+  const timings = harTimings(r);
+  let queryString = [];
+  try { queryString = Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value })); } catch (e) { /* ignore */ }
+  const bodySize = r.encodedBodySize || r.transferSize || r.size || 0;
+  return {
+    pageref: 'page_1',
+    startedDateTime: new Date(t0 + (Number(r.startTime) || 0)).toISOString(),
+    time: Object.keys(timings).reduce((sum, k) => k === 'ssl' ? sum : sum + Math.max(0, timings[k]), 0),
+    request: { method: r.method || 'GET', url, httpVersion, cookies: [], headers: r.requestHeaders || [], queryString, headersSize: -1, bodySize: 0 },
+    response: {
+      status: r.status || r.responseStatus || (r.error ? 0 : 200),
+      statusText: r.statusText || '',
+      httpVersion,
+      cookies: [],
+      headers: r.responseHeaders || [],
+      content: { size: r.decodedBodySize || bodySize, mimeType: r.mimeType || 'x-unknown' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: bodySize || -1,
+      _transferSize: r.transferSize || 0,
+    },
+    cache: {},
+    timings,
+    _initiator: r.initiator ? { type: 'parser', url: r.initiator } : undefined,
+  };
+}
+
+// Serialize a report back into a HAR 1.2 log
+function reportToHar(report) {
+  const t0 = Date.parse(report.startedDateTime) || Date.now();
+  // a live PerformanceNavigationTiming has no own properties for Object.assign to copy
+  const nav = report.nav && report.nav.toJSON ? report.nav.toJSON() : (report.nav || {});
+  const entries = [];
+  if (nav.name || report.url) entries.push(resourceToHarEntry(Object.assign({ name: report.url, mimeType: 'text/html' }, nav, { startTime: 0, duration: nav.duration || nav.responseEnd || 0 }), t0));
+  (report.resources || []).forEach(r => entries.push(resourceToHarEntry(r, t0)));
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'PerfLab', version: '1.0' },
+      pages: [{
+        startedDateTime: new Date(t0).toISOString(),
+        id: 'page_1',
+        title: report.title || report.url || '',
+        pageTimings: { onContentLoad: nav.domContentLoadedEventEnd || -1, onLoad: nav.loadEventEnd || -1 },
+      }],
+      entries,
+    }
+  };
+}
+
+async function analyzeHar(file) {
+  if (!file) { alert('Choose a HAR file'); setStatus('Ready'); return; }
+  setStatus(`Parsing ${file.name}...`);
+  try {
+    const har = JSON.parse(await file.text());
+    renderReport(parseHar(har));
+  } catch (err) {
+    console.error(err);
+    alert('HAR import failed: ' + (err.message || err));
+    setStatus('HAR import failed');
+  }
+}
+
+/* ---------- Resource model ---------- */
+// Every view and export reads resources through resourceModel(report) so types, sizes and phases agree
+const RESOURCE_TYPES = ['document', 'script', 'stylesheet', 'font', 'image', 'media', 'fetch', 'beacon', 'other'];
+const RESOURCE_PHASES = [
+  { key: 'queue', label: 'Queueing' },
+  { key: 'dns', label: 'DNS' },
+  { key: 'connect', label: 'Connect' },
+  { key: 'ssl', label: 'SSL' },
+  { key: 'request', label: 'Request' },
+  { key: 'response', label: 'Response' },
+];
+const INITIATOR_RESOURCE_TYPES = {
+  navigation: 'document', iframe: 'document', frame: 'document',
+  script: 'script', img: 'image', image: 'image', input: 'image',
+  video: 'media', audio: 'media', track: 'media',
+  fetch: 'fetch', xmlhttprequest: 'fetch', beacon: 'beacon',
+};
+const EXTENSION_RESOURCE_TYPES = {
+  html: 'document', htm: 'document',
+  js: 'script', mjs: 'script', css: 'stylesheet',
+  woff: 'font', woff2: 'font', ttf: 'font', otf: 'font', eot: 'font',
+  png: 'image', jpg: 'image', jpeg: 'image', gif: 'image', webp: 'image', avif: 'image', svg: 'image', ico: 'image', bmp: 'image',
+  mp4: 'media', webm: 'media', mp3: 'media', ogg: 'media', wav: 'media', m3u8: 'media', mpd: 'media',
+  json: 'fetch',
+};
+
+// Type from how it was requested (fetch/xhr/beacon), then what was served (MIME), then initiator, then extension;
+// an unmatched <link> is a stylesheet
+function classifyResource(r, mime, url) {
+  const initiator = (r.initiatorType || '').toLowerCase();
+  if (initiator === 'beacon') return 'beacon';
+  if (initiator === 'fetch' || initiator === 'xmlhttprequest') return 'fetch';
+  if (mime) {
+    if (/^text\/html|xhtml/.test(mime)) return 'document';
+    if (/javascript|ecmascript/.test(mime)) return 'script';
+    if (mime === 'text/css') return 'stylesheet';
+    if (/^font\/|font-|woff|opentype|truetype/.test(mime)) return 'font';
+    if (/^image\//.test(mime)) return 'image';
+    if (/^(video|audio)\/|mpegurl|dash\+xml/.test(mime)) return 'media';
+  }
+  if (INITIATOR_RESOURCE_TYPES[initiator]) return INITIATOR_RESOURCE_TYPES[initiator];
+  const ext = (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  if (ext && EXTENSION_RESOURCE_TYPES[ext.toLowerCase()]) return EXTENSION_RESOURCE_TYPES[ext.toLowerCase()];
+  if (/json|xml/.test(mime)) return 'fetch';
+  // <link> (HAR stylesheets, Resource Timing): preloads, icons and fonts were matched by MIME or extension above
+  if (initiator === 'link') return 'stylesheet';
+  return 'other';
+}
+
+// bytes over the wire, falling back to body sizes when transferSize is hidden (cross-origin without TAO)
+function resourceBytes(r) {
+  return Number(r.transferSize || r.encodedBodySize || r.decodedBodySize || r.size || r.transfer || 0) || 0;
+}
+
+// Absolute phase segments for an RT-like resource; one 'total' segment when detail is unavailable
+function resourcePhases(r, start, end) {
+  if (!(r.requestStart > 0 && r.responseEnd > 0)) return [{ key: 'total', start, end }];
+  const dnsStart = r.domainLookupStart > 0 ? r.domainLookupStart : r.requestStart;
+  const sslStart = r.secureConnectionStart > 0 ? r.secureConnectionStart : r.connectEnd;
+  const segs = [
+    { key: 'queue', start, end: dnsStart },
+    { key: 'dns', start: r.domainLookupStart, end: r.domainLookupEnd },
+    { key: 'connect', start: r.connectStart, end: sslStart },
+    { key: 'ssl', start: sslStart, end: r.connectEnd },
+    { key: 'request', start: r.requestStart, end: r.responseStart },
+    { key: 'response', start: r.responseStart, end: r.responseEnd },
+  ];
+  return segs.filter(p => p.start > 0 && p.end > p.start);
+}
+
+// liveOrigin: page origin in live modes, where a same-origin transferSize of 0 means the HTTP cache served it
+function normalizeResource(r, idx, pageSite, liveOrigin = null) {
+  const url = r.name || r.url || '';
+  const start = Number(r.startTime) || 0;
+  const duration = Number(r.duration || r.responseEnd - r.startTime || 0) || 0;
+  const headers = headerMap(r);
+  const mime = (r.mimeType || r.contentType || headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const phases = resourcePhases(r, start, start + duration);
+  const detailed = phases[0].key !== 'total';
+  const timings = {};
+  RESOURCE_PHASES.forEach(p => {
+    const seg = phases.find(x => x.key === p.key);
+    timings[p.key] = detailed ? (seg ? seg.end - seg.start : 0) : null;
+  });
+  const attr = attributeUrl(url, pageSite);
+  const cacheHit = !!liveOrigin && attr.origin === liveOrigin && r.transferSize === 0 && r.decodedBodySize > 0;
+  return {
+    idx, url, mime,
+    type: classifyResource(r, mime, url),
+    initiatorType: r.initiatorType || '',
+    initiator: r.initiator || null,
+    protocol: r.nextHopProtocol || r.protocol || 'unknown',
+    status: r.status || r.responseStatus || null,
+    method: r.method || 'GET',
+    start, duration,
+    durationStats: r.durationStats || null,
+    transfer: resourceBytes(r),
+    encoded: Number(r.encodedBodySize) || 0,
+    decoded: Number(r.decodedBodySize) || 0,
+    phases, timings,
+    headers,
+    hasHeaders: Array.isArray(r.responseHeaders) && r.responseHeaders.length > 0,
+    cacheHit,
+    origin: attr.origin, entity: attr.entity, category: attr.category, firstParty: attr.firstParty,
+    blocking: r.renderBlockingStatus === 'blocking',
+    error: r.error || null,
+    raw: r,
+  };
+}
+
+// cached per report; custom entities replace userEntities, which invalidates the attribution
+const resourceModelCache = new WeakMap();
+function resourceModel(report) {
+  const hit = resourceModelCache.get(report);
+  const resources = report.resources || [];
+  if (hit && hit.entities === userEntities && hit.resources === resources && hit.rows.length === resources.length) return hit.rows;
+  const pageSite = pageSiteOf(report);
+  const liveOrigin = LIVE_MODES.includes(report.mode) ? originOf(report.url) : null;
+  const rows = resources.map((r, idx) => normalizeResource(r, idx, pageSite, liveOrigin));
+  resourceModelCache.set(report, { entities: userEntities, resources, rows });
+  return rows;
+}
+
+/* ---------- Performance budget ---------- */
+// null = not checked. The first four replace the old fixed suggestion thresholds.
+const DEFAULT_BUDGET = {
+  maxRequests: 60,
+  maxTotalKB: 300,
+  maxLCP: 2500,
+  maxCLS: 0.1,
+  maxScriptKB: null,
+  maxImageCount: null,
+  maxThirdPartyRequests: null,
+};
+const BUDGET_STORAGE_KEY = 'perflab.budget';
+
+// advice() returns HTML: escape anything that comes from the report
+const BUDGET_LINES = [
+  { key: 'maxLCP', label: 'LCP', unit: 'ms', actual: c => c.summary.lcp,
+    advice: (a, l, report) => {
+      const at = report.lcpAttribution;
+      if (!at || !at.selector) return `LCP is ${ms(a)} ms — optimize hero content and server latency to reach < ${l} ms.`;
+      return `LCP is ${ms(a)} ms on ${code(at.selector)}` + (at.url
+        ? ` (loads ${code(safeText(at.url, 120))}) — preload that resource with fetchpriority="high", serve it smaller and never lazy-load it to reach < ${l} ms.`
+        : ` — render it without waiting for scripts/web fonts and cut server latency to reach < ${l} ms.`);
+    } },
+  { key: 'maxCLS', label: 'CLS', unit: '', actual: c => c.summary.cls,
+    advice: (a, l, report) => {
+      const selectors = Array.from(new Set((report.clsShifts || []).map(x => x.selector).filter(Boolean))).slice(0, 3);
+      if (selectors.length === 0) return `CLS is ${a.toFixed(3)} — reserve image sizes and avoid layout shifts.`;
+      return `CLS is ${a.toFixed(3)} — the largest shifts move ${selectors.map(code).join(', ')}; reserve their space (width/height or aspect-ratio, min-height for injected content).`;
+    } },
+  { key: 'maxTotalKB', label: 'Total transfer', unit: 'KB', actual: c => c.summary.totalBytes / 1024,
+    advice: a => `Large total transfer (${ms(a)} KB). Optimize images, enable gzip/brotli, and use caching.` },
+  { key: 'maxScriptKB', label: 'Script transfer', unit: 'KB', actual: c => c.scriptBytes / 1024,
+    advice: a => `Script payload is ${ms(a)} KB — code-split and defer non-critical JavaScript.` },
+  { key: 'maxRequests', label: 'Requests', unit: '', actual: c => c.summary.requests,
+    advice: a => `High number of requests (${a}). Consider bundling and reducing 3rd-party scripts.` },
+  { key: 'maxImageCount', label: 'Images', unit: '', actual: c => c.imageCount,
+    advice: a => `${a} images requested — lazy-load below-the-fold images and use sprites/SVG for icons.` },
+  { key: 'maxThirdPartyRequests', label: 'Third-party requests', unit: '', actual: c => c.thirdPartyRequests,
+    advice: a => `${a} third-party requests — audit tags and vendors, remove or defer the ones you don't need.` },
+];
+
+// Common public suffixes with more than one label; anything else is treated as a single-label TLD
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'plc.uk', 'me.uk', 'net.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'id.au',
+  'co.nz', 'org.nz', 'net.nz', 'govt.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+  'co.kr', 'or.kr', 'co.in', 'net.in', 'org.in', 'gov.in',
+  'com.br', 'net.br', 'org.br', 'gov.br', 'com.ar', 'com.mx', 'com.co',
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'com.hk', 'com.tw', 'com.sg', 'com.my',
+  'co.za', 'org.za', 'com.tr', 'com.ua', 'co.il', 'co.id', 'co.th', 'com.ph', 'com.vn', 'com.pk', 'com.eg', 'com.sa',
+  'github.io', 'gitlab.io', 'pages.dev', 'netlify.app', 'vercel.app', 'herokuapp.com', 'azurewebsites.net', 'cloudfront.net', 'appspot.com', 'blogspot.com',
+]);
+
+// registrable site of a hostname: the public suffix plus one label
+function siteOf(hostname) {
+  const parts = (hostname || '').split('.');
+  if (parts.length <= 2 || /^\d+$/.test(parts[parts.length - 1])) return hostname;
+  const take = MULTI_LABEL_SUFFIXES.has(parts.slice(-2).join('.')) ? 3 : 2;
+  return parts.slice(-take).join('.');
+}
+
+function validateBudget(budget) {
+  if (!budget || typeof budget !== 'object' || Array.isArray(budget)) throw new Error('Budget must be a JSON object');
+  Object.keys(budget).forEach(k => {
+    if (!(k in DEFAULT_BUDGET)) throw new Error(`Unknown budget key "${k}" (expected one of ${Object.keys(DEFAULT_BUDGET).join(', ')})`);
+    const v = budget[k];
+    if (v !== null && (typeof v !== 'number' || !isFinite(v) || v < 0)) throw new Error(`Budget "${k}" must be a non-negative number or null`);
+  });
+  return Object.assign({}, DEFAULT_BUDGET, budget);
+}
+
+function loadBudget() {
+  try {
+    const saved = localStorage.getItem(BUDGET_STORAGE_KEY);
+    return saved ? validateBudget(JSON.parse(saved)) : Object.assign({}, DEFAULT_BUDGET);
+  } catch (e) {
+    console.error(e);
+    return Object.assign({}, DEFAULT_BUDGET);
+  }
+}
+
+let currentBudget = loadBudget();
+
+function setBudget(budget) {
+  currentBudget = validateBudget(budget);
+  localStorage.setItem(BUDGET_STORAGE_KEY, JSON.stringify(currentBudget));
+  budgetInput.value = JSON.stringify(currentBudget, null, 2);
+  if (window.lastReport) renderReport(window.lastReport, { save: false });
+}
+
+// Check a report against a budget; returns one result per configured line
+function evaluateBudget(report, summary, budget) {
+  const ctx = { summary, scriptBytes: 0, imageCount: 0, thirdPartyRequests: 0 };
+  resourceModel(report).forEach(r => {
+    if (r.type === 'script') ctx.scriptBytes += r.transfer;
+    if (r.type === 'image') ctx.imageCount++;
+    if (!r.firstParty) ctx.thirdPartyRequests++;
+  });
+
+  return BUDGET_LINES.filter(line => budget[line.key] !== null && budget[line.key] !== undefined).map(line => {
+    const limit = budget[line.key];
+    const raw = line.actual(ctx);
+    const actual = (raw === null || raw === undefined) ? null : Math.round(raw * 1000) / 1000;
+    const pass = actual === null ? null : actual <= limit;
+    const over = pass === false ? Math.round((actual - limit) * 1000) / 1000 : 0;
+    return { key: line.key, label: line.label, unit: line.unit, limit, actual, pass, over, overPct: (pass === false && limit) ? Math.round(over / limit * 1000) / 10 : 0 };
+  });
+}
+
+function renderBudgetResults(results) {
+  if (results.length === 0) { budgetResultsEl.innerHTML = ''; return; }
+  const unit = r => r.unit ? ' ' + r.unit : '';
+  budgetResultsEl.innerHTML = '<div class="label">Budget</div>' + results.map(r => {
+    const state = r.pass === null ? 'na' : (r.pass ? 'pass' : 'fail');
+    const icon = r.pass === null ? '–' : (r.pass ? '✔' : '✘');
+    const actual = r.actual === null ? 'n/a' : ms(r.actual) + unit(r);
+    const over = r.pass === false ? ` <span class="over">(+${ms(r.over)}${unit(r)}${r.overPct ? `, +${r.overPct}%` : ''})</span>` : '';
+    return `<div class="budget-line ${state}"><span>${icon} ${esc(r.label)}</span><span>${actual} / ${ms(r.limit)}${unit(r)}${over}</span></div>`;
+  }).join('');
+}
+
+/* ---------- Web Vitals detail ---------- */
+const INP_GOOD = 200;
+const TTFB_GOOD = 800;
+const TTFB_PHASES = [
+  { key: 'redirect', label: 'redirects', advice: 'link to the final URL and drop redirect hops' },
+  { key: 'dns', label: 'DNS lookup', advice: 'use a faster DNS provider or longer DNS TTLs' },
+  { key: 'connect', label: 'TCP connect', advice: 'serve from a CDN closer to users and keep connections alive' },
+  { key: 'tls', label: 'TLS handshake', advice: 'enable TLS 1.3 and session resumption, serve from a nearby edge' },
+  { key: 'request', label: 'server response', advice: 'cache the HTML at the edge or speed up server-side rendering and queries' },
+  { key: 'other', label: 'queueing / service worker startup', advice: 'check service worker boot time and browser cache lookups' },
+];
+
+// Split TTFB (responseStart of the navigation) into phases; works for any RT-like nav object
+function ttfbBreakdown(nav) {
+  if (!nav || !nav.responseStart) return null;
+  const d = (a, b) => (typeof a === 'number' && typeof b === 'number' && b >= a) ? b - a : 0;
+  const tls = nav.secureConnectionStart > 0 ? d(nav.secureConnectionStart, nav.connectEnd) : 0;
+  const out = {
+    ttfb: nav.responseStart - (nav.startTime || 0),
+    redirect: d(nav.redirectStart, nav.redirectEnd),
+    dns: d(nav.domainLookupStart, nav.domainLookupEnd),
+    connect: Math.max(0, d(nav.connectStart, nav.connectEnd) - tls),
+    tls,
+    request: d(nav.requestStart, nav.responseStart),
+  };
+  out.other = Math.max(0, out.ttfb - out.redirect - out.dns - out.connect - out.tls - out.request);
+  Object.keys(out).forEach(k => { out[k] = ms(out[k]); });
+  return out;
+}
+
+function renderTtfbBreakdown(tb) {
+  if (!tb || !tb.ttfb) { ttfbBreakdownEl.innerHTML = ''; return; }
+  const phases = TTFB_PHASES.filter(p => tb[p.key] > 0);
+  ttfbBreakdownEl.innerHTML = `<div class="label">TTFB breakdown (${ms(tb.ttfb)} ms)</div>
+    <div class="phase-bar">${phases.map(p => `<span class="phase-${p.key}" style="width:${tb[p.key] / tb.ttfb * 100}%" title="${p.label}: ${ms(tb[p.key])} ms"></span>`).join('')}</div>
+    <div class="phase-legend">${phases.map(p => `<span><i class="phase-${p.key}"></i>${p.label} ${ms(tb[p.key])} ms</span>`).join('')}</div>`;
+}
+
+function renderAttribution(report) {
+  const items = [];
+  const lcpAt = report.lcpAttribution;
+  if (lcpAt && lcpAt.selector) items.push(`<li><b>LCP element</b> ${code(lcpAt.selector)}${lcpAt.url ? ` — resource ${code(safeText(lcpAt.url, 120))}` : ' — text block'}</li>`);
+  (report.clsShifts || []).filter(x => x.selector).forEach(x => items.push(`<li><b>Layout shift</b> ${(Number(x.value) || 0).toFixed(3)} at ${ms(x.start)} ms — ${code(x.selector)}</li>`));
+  const inpAt = report.inpAttribution;
+  if (inpAt && inpAt.selector) items.push(`<li><b>INP interaction</b> ${esc(inpAt.type)} on ${code(inpAt.selector)} — ${ms(inpAt.duration)} ms</li>`);
+  vitalsAttributionEl.innerHTML = items.length ? `<div class="label">Attribution</div><ul>${items.join('')}</ul>` : '';
+}
+
+/* ---------- Third-party attribution ---------- */
+// Known vendors by domain (a hostname matches a domain or any of its subdomains).
+// Users can add their own entries in the sidebar; those win over the defaults.
+const DEFAULT_ENTITIES = [
+  { name: 'Google Analytics', category: 'analytics', domains: ['google-analytics.com', 'analytics.google.com'] },
+  { name: 'Hotjar', category: 'analytics', domains: ['hotjar.com', 'hotjar.io'] },
+  { name: 'Segment', category: 'analytics', domains: ['segment.com', 'segment.io'] },
+  { name: 'Mixpanel', category: 'analytics', domains: ['mixpanel.com', 'mxpnl.com'] },
+  { name: 'Amplitude', category: 'analytics', domains: ['amplitude.com'] },
+  { name: 'Microsoft Clarity', category: 'analytics', domains: ['clarity.ms'] },
+  { name: 'Google Tag Manager', category: 'tag-manager', domains: ['googletagmanager.com'] },
+  { name: 'Tealium', category: 'tag-manager', domains: ['tiqcdn.com', 'tealiumiq.com'] },
+  { name: 'Adobe Experience Platform', category: 'tag-manager', domains: ['adobedtm.com', 'omtrdc.net', 'demdex.net'] },
+  { name: 'Google Ads', category: 'ads', domains: ['doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adservice.google.com'] },
+  { name: 'Amazon Ads', category: 'ads', domains: ['amazon-adsystem.com'] },
+  { name: 'Criteo', category: 'ads', domains: ['criteo.com', 'criteo.net'] },
+  { name: 'Taboola', category: 'ads', domains: ['taboola.com'] },
+  { name: 'Outbrain', category: 'ads', domains: ['outbrain.com'] },
+  { name: 'Cloudflare CDN', category: 'cdn', domains: ['cdnjs.cloudflare.com'] },
+  { name: 'jsDelivr', category: 'cdn', domains: ['jsdelivr.net'] },
+  { name: 'unpkg', category: 'cdn', domains: ['unpkg.com'] },
+  { name: 'Google Fonts', category: 'cdn', domains: ['fonts.googleapis.com', 'fonts.gstatic.com'] },
+  { name: 'Amazon CloudFront', category: 'cdn', domains: ['cloudfront.net'] },
+  { name: 'Akamai', category: 'cdn', domains: ['akamaihd.net', 'akamaized.net'] },
+  { name: 'Facebook', category: 'social', domains: ['facebook.net', 'facebook.com', 'fbcdn.net'] },
+  { name: 'X (Twitter)', category: 'social', domains: ['twitter.com', 'twimg.com', 'x.com'] },
+  { name: 'LinkedIn', category: 'social', domains: ['linkedin.com', 'licdn.com'] },
+  { name: 'YouTube', category: 'social', domains: ['youtube.com', 'ytimg.com', 'youtube-nocookie.com'] },
+  { name: 'Instagram', category: 'social', domains: ['instagram.com', 'cdninstagram.com'] },
+  { name: 'TikTok', category: 'social', domains: ['tiktok.com', 'tiktokcdn.com'] },
+];
+const ENTITIES_STORAGE_KEY = 'perflab.entities';
+
+function validateEntities(list) {
+  if (!Array.isArray(list)) throw new Error('Entities must be a JSON array');
+  list.forEach((e, i) => {
+    if (!e || typeof e.name !== 'string' || !e.name) throw new Error(`Entity #${i + 1} needs a "name"`);
+    if (!Array.isArray(e.domains) || e.domains.some(d => typeof d !== 'string' || !d)) throw new Error(`Entity "${e.name}" needs a "domains" array of strings`);
+    if (e.category !== undefined && typeof e.category !== 'string') throw new Error(`Entity "${e.name}" has a non-string "category"`);
+  });
+  return list.map(e => ({ name: e.name, category: e.category || 'other', domains: e.domains.map(d => d.toLowerCase().replace(/^\*?\./, '')) }));
+}
+
+function loadUserEntities() {
+  try { return validateEntities(JSON.parse(localStorage.getItem(ENTITIES_STORAGE_KEY) || '[]')); } catch (e) { console.error(e); return []; }
+}
+
+let userEntities = loadUserEntities();
+
+function findEntity(hostname) {
+  const host = (hostname || '').toLowerCase();
+  for (const e of userEntities.concat(DEFAULT_ENTITIES)) {
+    if (e.domains.some(d => host === d || host.endsWith('.' + d))) return e;
+  }
+  return null;
+}
+
+// Who served a URL, relative to the page: { origin, entity, category, firstParty }
+function attributeUrl(url, pageSite) {
+  let u;
+  try { u = new URL(url); } catch (e) { return { origin: '(invalid)', entity: '(unknown)', category: 'other', firstParty: true }; }
+  const site = siteOf(u.hostname);
+  const firstParty = !pageSite || site === pageSite;
+  const known = findEntity(u.hostname);
+  return {
+    origin: u.origin,
+    entity: firstParty ? 'First party' : (known ? known.name : site),
+    category: firstParty ? 'first-party' : (known ? known.category : 'other'),
+    firstParty,
+  };
+}
+
+function pageSiteOf(report) {
+  try { return siteOf(new URL(report.url).hostname); } catch (e) { return null; }
+}
+
+// Long tasks attributed to a frame (TaskAttributionTiming.containerSrc) count against that frame's entity
+function groupThirdParties(report, key) {
+  const pageSite = pageSiteOf(report);
+  const groups = new Map();
+  const group = (attr) => {
+    const id = key === 'origin' ? attr.origin : attr.entity;
+    if (!groups.has(id)) groups.set(id, { name: id, entity: attr.entity, category: attr.category, firstParty: attr.firstParty, requests: 0, bytes: 0, duration: 0, blocking: 0, longTaskMs: 0 });
+    return groups.get(id);
+  };
+  resourceModel(report).forEach(r => {
+    const g = group(r);
+    g.requests++;
+    g.bytes += r.transfer;
+    g.duration += r.duration;
+    if (r.blocking) g.blocking += r.duration;
+  });
+  (report.longTasks || []).forEach(t => {
+    if (t.containerSrc) group(attributeUrl(t.containerSrc, pageSite)).longTaskMs += t.duration;
+  });
+  return Array.from(groups.values()).sort((a, b) => b.bytes - a.bytes);
+}
+
+function buildThirdParty(report) {
+  const byEntity = groupThirdParties(report, 'entity');
+  report.thirdParties = { entities: byEntity, origins: groupThirdParties(report, 'origin') };
+  thirdPartyCard.classList.remove('hidden');
+
+  const rows = thirdPartyGroupEl.value === 'origin' ? report.thirdParties.origins : byEntity;
+  thirdPartyBody.innerHTML = rows.map(g => `<tr>
+      <td class="mono" title="${esc(g.name)}">${esc(safeText(g.name, 60))}</td>
+      <td>${esc(g.category)}</td>
+      <td>${g.firstParty ? '1st' : '3rd'}</td>
+      <td>${g.requests}</td>
+      <td>${kb(g.bytes)}</td>
+      <td>${ms(g.duration)}</td>
+      <td>${g.blocking ? ms(g.blocking) : '-'}</td>
+      <td>${g.longTaskMs ? ms(g.longTaskMs) : '-'}</td>
+    </tr>`).join('') || '<tr><td colspan="8">No resources</td></tr>';
+
+  const top = byEntity.slice(0, 10);
+  if (charts.entity) charts.entity.destroy();
+  charts.entity = new Chart(entityCanvas, {
+    type: 'bar',
+    data: { labels: top.map(g => safeText(g.name, 28)), datasets: [{ label: 'KB', data: top.map(g => kb(g.bytes) || 0), backgroundColor: top.map(g => g.firstParty ? '#2dd4bf' : '#f59e0b') }]},
+    options: { indexAxis: 'y', plugins: { legend: { display: false } }, scales: { x: { title: { display: true, text: 'KB' } } } }
+  });
+}
+
+$('applyEntities').addEventListener('click', () => {
+  try {
+    userEntities = validateEntities(JSON.parse(entitiesInput.value || '[]'));
+    localStorage.setItem(ENTITIES_STORAGE_KEY, JSON.stringify(userEntities));
+    if (window.lastReport) renderReport(window.lastReport, { save: false });
+    setStatus(`Saved ${userEntities.length} custom entit${userEntities.length === 1 ? 'y' : 'ies'}`);
+  } catch (e) { alert('Invalid entities: ' + (e.message || e)); }
+});
+
+thirdPartyGroupEl.addEventListener('change', () => { if (window.lastReport) buildThirdParty(window.lastReport); });
+
+hideThirdPartiesEl.addEventListener('change', () => {
+  if (!window.lastReport) return;
+  buildWaterfall(window.lastReport);
+  buildSimulation(window.lastReport);
+  buildResourcesTable(window.lastReport);
+});
+
+/* ---------- Main-thread blocking ---------- */
+const BLOCKING_THRESHOLD = 50;   // ms of a task the user can't notice; the rest is "blocking"
+const TTI_QUIET_WINDOW = 5000;   // TTI needs 5 s without long tasks...
+const TTI_MAX_IN_FLIGHT = 2;     // ...and with at most 2 requests in flight
+const TBT_GOOD = 200;
+const LIVE_MODES = ['current', 'collected']; // only these observe the main thread
+
+// Long tasks when the browser reported them, otherwise long animation frames
+function mainThreadTasks(report) {
+  const tasks = (report.longTasks || []).map(t => ({ start: t.start, duration: t.duration, source: 'longtask', containerSrc: t.containerSrc || null }));
+  if (tasks.length) return tasks;
+  return (report.longAnimationFrames || []).map(f => ({ start: f.start, duration: f.duration, source: 'frame' }));
+}
+
+// earliest time >= from where at most TTI_MAX_IN_FLIGHT requests are in flight again,
+// or null when the network stays quiet through [from, to)
+function networkBusyUntil(resources, from, to) {
+  const events = [];
+  resources.forEach(r => {
+    if (r.start + r.duration <= from || r.start >= to) return;
+    events.push([Math.max(r.start, from), 1], [r.start + r.duration, -1]);
+  });
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let inFlight = 0, busy = false;
+  for (const [t, d] of events) {
+    inFlight += d;
+    if (inFlight > TTI_MAX_IN_FLIGHT && t < to) busy = true;
+    else if (busy && inFlight <= TTI_MAX_IN_FLIGHT) return t;
+  }
+  return busy ? to : null;
+}
+
+// Lab TTI: end of the last long task before the first quiet window after FCP
+function timeToInteractive(report, tasks, fcp) {
+  const sorted = tasks.slice().sort((a, b) => a.start - b.start);
+  const resources = resourceModel(report);
+  let t = fcp;
+  for (let guard = 0; guard < 1000; guard++) {
+    const task = sorted.find(x => x.start + x.duration > t && x.start < t + TTI_QUIET_WINDOW);
+    if (task) { t = task.start + task.duration; continue; }
+    const busy = networkBusyUntil(resources, t, t + TTI_QUIET_WINDOW);
+    if (busy === null) break;
+    t = busy;
+  }
+  const before = sorted.filter(x => x.start + x.duration <= t);
+  return before.length ? Math.max(fcp, before[before.length - 1].start + before[before.length - 1].duration) : fcp;
+}
+
+// Scripts that ran inside long animation frames, grouped by source URL; a frame's
+// blocking time is shared between its scripts by duration
+function blockingScripts(report) {
+  const pageSite = pageSiteOf(report);
+  const groups = new Map();
+  (report.longAnimationFrames || []).forEach(f => {
+    const scripts = f.scripts || [];
+    const total = scripts.reduce((sum, sc) => sum + (sc.duration || 0), 0);
+    scripts.forEach(sc => {
+      const url = sc.sourceURL || '';
+      if (!groups.has(url)) {
+        const attr = url ? attributeUrl(url, pageSite) : { entity: '(unknown)', firstParty: true };
+        groups.set(url, { url, entity: attr.entity, firstParty: attr.firstParty, count: 0, duration: 0, blocking: 0, forcedLayout: 0, functions: new Set(), invokers: new Set() });
+      }
+      const g = groups.get(url);
+      g.count++;
+      g.duration += sc.duration || 0;
+      g.blocking += total ? (f.blockingDuration || 0) * (sc.duration || 0) / total : 0;
+      g.forcedLayout += sc.forcedStyleAndLayoutDuration || 0;
+      if (sc.sourceFunctionName) g.functions.add(sc.sourceFunctionName);
+      if (sc.invoker) g.invokers.add(sc.invoker);
+    });
+  });
+  return Array.from(groups.values())
+    .map(g => Object.assign(g, { functions: Array.from(g.functions), invokers: Array.from(g.invokers) }))
+    .sort((a, b) => b.blocking - a.blocking || b.duration - a.duration);
+}
+
+// { tbt, tti, tasks, scripts }; tbt/tti are null when the mode can't see the main thread
+function mainThreadBlocking(report) {
+  const tasks = mainThreadTasks(report);
+  const scripts = blockingScripts(report);
+  if (report.longTasksCollected === false || (!tasks.length && !LIVE_MODES.includes(report.mode))) return { tbt: null, tti: null, tasks, scripts };
+  const fcp = report.fcp || 0;
+  const tti = timeToInteractive(report, tasks, fcp);
+  let tbt = 0;
+  tasks.forEach(t => {
+    const end = Math.min(t.start + t.duration, tti);
+    const clipped = end - Math.max(t.start, fcp);
+    if (clipped > BLOCKING_THRESHOLD) tbt += clipped - BLOCKING_THRESHOLD;
+  });
+  return { tbt: ms(tbt), tti: ms(tti), tasks, scripts };
+}
+
+function buildMainThread(report) {
+  const mt = report.mainThread;
+  if (mt.tbt === null && !mt.tasks.length && !mt.scripts.length) { mainThreadCard.classList.add('hidden'); return; }
+  mainThreadCard.classList.remove('hidden');
+  const frames = (report.longAnimationFrames || []).length;
+  mainThreadStatsEl.innerHTML = [
+    ['Total Blocking Time', mt.tbt === null ? '-' : `<span class="${mt.tbt <= TBT_GOOD ? 'delta-good' : 'delta-bad'}">${mt.tbt} ms</span>`],
+    ['Time to Interactive', mt.tti === null ? '-' : `${mt.tti} ms`],
+    ['Long tasks', (report.longTasks || []).length],
+    ['Long animation frames', frames || '-'],
+  ].map(([label, v]) => `<div class="stat"><div class="label">${label}</div><div>${v}</div></div>`).join('');
+
+  blockingScriptsBody.innerHTML = mt.scripts.slice(0, 15).map(g => `<tr>
+      <td class="mono" title="${esc(g.url)}">${g.url ? esc(safeText(g.url, 70)) : '<span class="muted">(inline / unknown)</span>'}</td>
+      <td>${esc(g.entity)}</td>
+      <td class="mono" title="${esc(g.invokers.join('\n'))}">${esc(safeText(g.invokers.join(', '), 50)) || '-'}</td>
+      <td class="mono" title="${esc(g.functions.join('\n'))}">${esc(safeText(g.functions.join(', '), 40)) || '-'}</td>
+      <td>${g.count}</td>
+      <td>${ms(g.duration)}</td>
+      <td>${ms(g.blocking)}</td>
+      <td>${g.forcedLayout ? ms(g.forcedLayout) : '-'}</td>
+    </tr>`).join('') || `<tr><td colspan="8" class="muted">${frames ? 'No script attribution in the long animation frames' : 'Script attribution needs Long Animation Frames (Chromium 123+)'}</td></tr>`;
+}
+
+/* ---------- Caching & compression ---------- */
+const REVALIDATE_BYTES = 300;    // a 304 Not Modified: status line and headers, no body
+const HEURISTIC_FRESHNESS = 0.1; // without an explicit lifetime browsers cache for 10% of (Date - Last-Modified)
+const BROTLI_VS_GZIP = 0.85;     // CompressionStream has no brotli; it typically beats gzip by ~15% on text
+const MAX_COMPRESSION_FETCHES = 100;
+const kbOrZero = bytes => bytes ? kb(bytes) : 0; // kb() renders 0 as '-'
+
+const isTextResource = r => ['document', 'script', 'stylesheet'].includes(r.type) || /^text\/|javascript|json|xml|svg/.test(r.mime);
+// A stated Content-Encoding is believed (the proxy can't decode e.g. zstd, so its sizes match). A missing one isn't
+// enough while body sizes exist: re-requested headers can lack it, so equal encoded / decoded sizes decide
+function isUncompressed(r) {
+  const enc = r.hasHeaders ? r.headers['content-encoding'] : null;
+  if (enc && enc !== 'identity') return false;
+  if (r.encoded > 0 && r.decoded > 0) return r.encoded === r.decoded;
+  return r.hasHeaders;
+}
+
+function formatTtl(s) {
+  if (s === null) return '-';
+  if (s < 60) return `${s} s`;
+  if (s < 3600) return `${Math.round(s / 60)} min`;
+  if (s < 86400) return `${Math.round(s / 360) / 10} h`;
+  return `${Math.round(s / 8640) / 10} d`;
+}
+
+// { state: 'hit' | 'cacheable' | 'revalidate' | 'uncacheable' | 'unknown', ttl (remaining seconds), heuristic, validator, note }
+function cachePolicy(row) {
+  const h = row.headers;
+  const validator = !!(h.etag || h['last-modified']);
+  if (!row.hasHeaders) return { state: row.cacheHit ? 'hit' : 'unknown', ttl: null, heuristic: false, validator, note: '' };
+  const cc = (h['cache-control'] || '').toLowerCase();
+  const vary = (h.vary || '').toLowerCase();
+  const note = /user-agent|cookie/.test(vary) ? `Vary: ${h.vary} splits shared caches` : '';
+  if (/no-store/.test(cc)) return { state: 'uncacheable', ttl: 0, heuristic: false, validator, note: 'no-store' };
+  if (vary.trim() === '*') return { state: 'uncacheable', ttl: 0, heuristic: false, validator, note: 'Vary: *' };
+  let ttl = cacheTtl(h), heuristic = false;
+  if (ttl === null && h['last-modified']) {
+    const lm = Date.parse(h['last-modified']), date = Date.parse(h.date) || Date.now();
+    if (!isNaN(lm)) { ttl = Math.max(0, Math.round((date - lm) / 1000 * HEURISTIC_FRESHNESS)); heuristic = true; }
+  }
+  ttl = Math.max(0, (ttl || 0) - (Number(h.age) || 0)); // a CDN's Age has already used part of the lifetime
+  const state = row.cacheHit ? 'hit' : (ttl > 0 ? 'cacheable' : (validator ? 'revalidate' : 'uncacheable'));
+  return { state, ttl, heuristic, validator, note: note || (state === 'uncacheable' ? 'no lifetime and no validator' : '') };
+}
+
+// bytes a repeat visit `after` seconds later downloads for one resource
+function repeatViewBytes(row, policy, after) {
+  if (policy.state === 'unknown' || policy.state === 'uncacheable') return row.transfer;
+  if (policy.ttl > after || (policy.state === 'hit' && policy.ttl === null)) return 0;
+  return policy.validator ? Math.min(REVALIDATE_BYTES, row.transfer) : row.transfer;
+}
+
+// the document plus every resource, each with its cache policy
+function cachingRows(report) {
+  const rows = resourceModel(report).slice();
+  if (report.nav && report.nav.name) rows.unshift(normalizeResource(Object.assign({ initiatorType: 'navigation', mimeType: 'text/html' }, report.nav), -1, pageSiteOf(report)));
+  return rows.filter(r => !r.error).map(row => ({ row, policy: cachePolicy(row) }));
+}
+
+function cachingSummary(report, after) {
+  const rows = cachingRows(report);
+  const first = rows.reduce((sum, x) => sum + x.row.transfer, 0);
+  const repeat = rows.reduce((sum, x) => sum + repeatViewBytes(x.row, x.policy, after), 0);
+  const count = state => rows.filter(x => x.policy.state === state).length;
+  return { rows, first, repeat, uncacheable: count('uncacheable'), unknown: count('unknown'), hits: count('hit') };
+}
+
+function compressionCell(row, report) {
+  if (!isTextResource(row)) return '-';
+  if (!isUncompressed(row)) return esc(row.headers['content-encoding'] || 'compressed');
+  const c = (report.compression || {})[row.url];
+  if (!c) return '<span class="cache-bad">none</span>';
+  if (c.error) return `<span class="cache-bad">none</span> <span class="muted" title="${esc(c.error)}">(estimate failed)</span>`;
+  const pct = v => Math.round((1 - v / c.bytes) * 100);
+  return `<span class="cache-bad">none</span> · gzip ${kb(c.gzip)} KB (−${pct(c.gzip)}%) · br ≈ ${kb(c.brotli)} KB (−${pct(c.brotli)}%)`;
+}
+
+const CACHE_STATE_LABELS = { hit: 'cache hit', cacheable: 'cached', revalidate: 'revalidate', uncacheable: 'not cacheable', unknown: 'no headers' };
+
+function buildCaching(report) {
+  const after = Number(repeatAfterEl.value) || 0;
+  const sum = cachingSummary(report, after);
+  if (!sum.rows.length) { cachingCard.classList.add('hidden'); return; }
+  cachingCard.classList.remove('hidden');
+  const saved = sum.first ? Math.round((1 - sum.repeat / sum.first) * 100) : 0;
+  cachingStatsEl.innerHTML = [
+    ['First view', `${kbOrZero(sum.first)} KB`],
+    ['Repeat view', `${kbOrZero(sum.repeat)} KB <span class="muted">(−${saved}%)</span>`],
+    ['Not cacheable', sum.uncacheable ? `<span class="delta-bad">${sum.uncacheable}</span>` : 0],
+    [LIVE_MODES.includes(report.mode) ? 'Cache hits' : 'Without headers', LIVE_MODES.includes(report.mode) ? sum.hits : sum.unknown],
+  ].map(([label, v]) => `<div class="stat"><div class="label">${label}</div><div>${v}</div></div>`).join('');
+
+  const order = { uncacheable: 0, revalidate: 1, unknown: 2, cacheable: 3, hit: 4 };
+  cachingBody.innerHTML = sum.rows.slice().sort((a, b) => order[a.policy.state] - order[b.policy.state] || b.row.transfer - a.row.transfer).map(({ row, policy }) => {
+    const h = row.headers;
+    const cls = { uncacheable: 'cache-bad', revalidate: 'cache-warn', hit: 'cache-good', cacheable: 'cache-good' }[policy.state] || 'muted';
+    return `<tr>
+      <td class="mono" title="${esc(row.url)}">${esc(safeText(row.url, 60))}</td>
+      <td>${esc(row.type)}</td>
+      <td class="${cls}">${CACHE_STATE_LABELS[policy.state]}${policy.note ? ` <span class="muted">(${esc(policy.note)})</span>` : ''}</td>
+      <td>${policy.state === 'unknown' ? '-' : formatTtl(policy.ttl)}${policy.heuristic ? ' <span class="muted" title="No Cache-Control / Expires: heuristic lifetime from Last-Modified">(heuristic)</span>' : ''}</td>
+      <td class="mono" title="${esc(h['cache-control'] || '')}">${esc(safeText(h['cache-control'] || (h.expires ? 'Expires: ' + h.expires : '-'), 40))}</td>
+      <td>${h.etag ? 'ETag' : ''}${h.etag && h['last-modified'] ? ', ' : ''}${h['last-modified'] ? 'Last-Modified' : ''}${policy.validator ? '' : '-'}</td>
+      <td class="mono">${esc(h.vary || '-')}</td>
+      <td>${compressionCell(row, report)}</td>
+      <td>${kbOrZero(row.transfer)}</td>
+      <td>${kbOrZero(repeatViewBytes(row, policy, after))}</td>
+    </tr>`;
+  }).join('');
+}
+
+// decoded body of a resource: the proxy for external / HAR reports, a direct (CORS) fetch in live modes
+async function fetchResourceBody(url, report) {
+  const resp = LIVE_MODES.includes(report.mode)
+    ? await fetch(url, { cache: 'force-cache' })
+    : await fetch(proxyEndpoint('/raw', url)).catch(() => { throw new Error(`Could not reach the PerfLab proxy at ${proxyBase()}`); });
+  if (!resp.ok) throw new Error('HTTP ' + resp.status);
+  return new Uint8Array(await resp.arrayBuffer());
+}
+
+// gzip every uncompressed text body locally; report.compression[url] = { bytes, gzip, brotli } or { error }
+async function estimateCompression(report) {
+  const urls = Array.from(new Set(cachingRows(report).filter(x => isTextResource(x.row) && isUncompressed(x.row)).map(x => x.row.url))).slice(0, MAX_COMPRESSION_FETCHES);
+  report.compression = report.compression || {};
+  for (let i = 0; i < urls.length; i += 6) {
+    setStatus(`Compressing ${Math.min(i + 6, urls.length)}/${urls.length} text resources...`);
+    await Promise.all(urls.slice(i, i + 6).map(async url => {
+      try {
+        const body = await fetchResourceBody(url, report);
+        const gzip = (await streamThrough(body, new CompressionStream('gzip'))).byteLength;
+        report.compression[url] = { bytes: body.length, gzip, brotli: Math.round(gzip * BROTLI_VS_GZIP) };
+      } catch (e) {
+        report.compression[url] = { error: e.message || String(e) };
+      }
+    }));
+  }
+  return urls.length;
+}
+
+repeatAfterEl.addEventListener('change', () => { if (window.lastReport) buildCaching(window.lastReport); });
+
+$('estimateCompression').addEventListener('click', async () => {
+  if (!window.lastReport) { alert('No report yet'); return; }
+  if (!window.CompressionStream) { alert('This browser has no CompressionStream'); return; }
+  if (!LIVE_MODES.includes(window.lastReport.mode)) localStorage.setItem(PROXY_STORAGE_KEY, proxySetting());
+  const n = await estimateCompression(window.lastReport);
+  renderReport(window.lastReport, { save: false }); // audits pick up the measured savings
+  setStatus(n ? `Estimated compression for ${n} text resources` : 'No uncompressed text resources');
+});
+
+/* ---------- Images ---------- */
+const OVERSIZE_RATIO = 1.5;       // intrinsic width above 1.5x the rendered width (at the page's DPR) is flagged
+const MIN_IMAGE_SAVINGS = 4 * 1024;
+const MAX_IMAGE_ENCODES = 60;
+const IMAGE_COLUMNS = [
+  { key: 'url', label: 'Image' },
+  { key: 'format', label: 'Format' },
+  { key: 'intrinsic', label: 'Intrinsic' },
+  { key: 'displayed', label: 'Displayed' },
+  { key: 'flags', label: 'Issues' },
+  { key: 'transfer', label: 'KB' },
+  { key: 'webp', label: 'WebP KB' },
+  { key: 'avif', label: 'AVIF KB' },
+  { key: 'savings', label: 'Saving KB' },
+];
+let imageSort = { key: 'savings', dir: -1 };
+
+// best re-encoded size (full size or resized to the display box) and the bytes it saves
+function imageResultSavings(res, original) {
+  const sizes = [res.webp, res.avif, res.resizedWebp, res.resizedAvif].filter(v => typeof v === 'number' && v > 0);
+  if (!sizes.length) return null;
+  const best = Math.min(...sizes);
+  return { best, savings: Math.max(0, original - best) };
+}
+
+// image resources joined with what the page knows about the <img> showing them
+function imageRows(report) {
+  const info = new Map((report.images || []).map(i => [stripCacheBust(i.url), i]));
+  const results = (report.imageAnalysis && report.imageAnalysis.results) || {};
+  const dpr = report.dpr || 1;
+  return resourceModel(report).filter(r => r.type === 'image' && !r.error).map(row => {
+    const img = info.get(stripCacheBust(row.url)) || null;
+    const res = results[row.url] || null;
+    const oversize = img && img.naturalWidth && img.displayWidth ? img.naturalWidth / (img.displayWidth * dpr) : null;
+    const measured = res && !res.error ? imageResultSavings(res, res.original || row.transfer) : null;
+    const flags = [];
+    if (oversize && oversize > OVERSIZE_RATIO) flags.push(`${Math.round(oversize * 10) / 10}× too large`);
+    if (img && !img.hasSize) flags.push('no width/height');
+    return {
+      row, img, res, oversize, flags,
+      url: row.url,
+      format: (row.mime || '').replace('image/', '') || '-',
+      intrinsic: img && img.naturalWidth ? img.naturalWidth * img.naturalHeight : null,
+      displayed: img && img.displayWidth ? img.displayWidth * img.displayHeight : null,
+      transfer: row.transfer,
+      webp: res && res.webp, avif: res && res.avif,
+      savings: measured ? measured.savings : null,
+    };
+  });
+}
+
+// measured re-encoding savings by URL (only after "Re-encode images" ran)
+function imageSavingsByUrl(report) {
+  const out = new Map();
+  imageRows(report).forEach(x => { if (x.savings !== null) out.set(x.url, x.savings); });
+  return out;
+}
+
+// null until the images were re-encoded: no analysis is "not measured", not "nothing to save"
+function imageSavingsBytes(report) {
+  if (!report.imageAnalysis) return null;
+  let sum = 0;
+  imageSavingsByUrl(report).forEach(v => { if (v >= MIN_IMAGE_SAVINGS) sum += v; });
+  return sum;
+}
+
+async function encodeCanvas(canvas, type, quality) {
+  const blob = canvas.convertToBlob ? await canvas.convertToBlob({ type, quality }) : await new Promise(res => canvas.toBlob(res, type, quality));
+  return blob && blob.type === type ? blob.size : null; // unsupported types come back as PNG
+}
+
+// WebP / AVIF sizes at full size and, when the page shows it smaller, at the display size
+async function reencodeImage(bytes, mime, quality, target) {
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: mime }));
+  const encodeAt = async (w, h) => {
+    const canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(w, h) : Object.assign(document.createElement('canvas'), { width: w, height: h });
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, w, h);
+    return { webp: await encodeCanvas(canvas, 'image/webp', quality), avif: await encodeCanvas(canvas, 'image/avif', quality) };
+  };
+  const full = await encodeAt(bitmap.width, bitmap.height);
+  const out = { original: bytes.length, width: bitmap.width, height: bitmap.height, webp: full.webp, avif: full.avif };
+  if (target && target.w < bitmap.width) {
+    const resized = await encodeAt(target.w, Math.max(1, Math.round(bitmap.height * target.w / bitmap.width)));
+    Object.assign(out, { resizedWidth: target.w, resizedWebp: resized.webp, resizedAvif: resized.avif });
+  }
+  if (bitmap.close) bitmap.close();
+  return out;
+}
+
+async function analyzeImages(report, quality) {
+  const rows = imageRows(report).filter(x => !/svg/.test(x.row.mime)).slice(0, MAX_IMAGE_ENCODES);
+  const dpr = report.dpr || 1;
+  report.imageAnalysis = { quality, results: {} };
+  for (let i = 0; i < rows.length; i++) {
+    const x = rows[i];
+    setStatus(`Re-encoding image ${i + 1}/${rows.length}...`);
+    try {
+      const bytes = await fetchResourceBody(x.url, report);
+      const target = x.oversize > OVERSIZE_RATIO ? { w: Math.round(x.img.displayWidth * dpr) } : null;
+      report.imageAnalysis.results[x.url] = await reencodeImage(bytes, x.row.mime || 'image/*', quality, target);
+    } catch (e) {
+      report.imageAnalysis.results[x.url] = { error: e.message || String(e) };
+    }
+  }
+  return rows.length;
+}
+
+function buildImages(report) {
+  const rows = imageRows(report);
+  if (!rows.length) { imagesCard.classList.add('hidden'); return; }
+  imagesCard.classList.remove('hidden');
+  const analysis = report.imageAnalysis;
+  const total = rows.reduce((sum, x) => sum + x.transfer, 0);
+  const saved = imageSavingsBytes(report);
+  imagesStatsEl.innerHTML = [
+    ['Images', rows.length],
+    ['Image bytes', `${kbOrZero(total)} KB`],
+    ['Too large', rows.filter(x => x.oversize > OVERSIZE_RATIO).length],
+    ['Missing width/height', rows.filter(x => x.img && !x.img.hasSize).length],
+    ['Re-encoding saves', analysis ? `${kbOrZero(saved)} KB <span class="muted">(q ${analysis.quality})</span>` : '<span class="muted">not measured</span>'],
+  ].map(([label, v]) => `<div class="stat"><div class="label">${label}</div><div>${v}</div></div>`).join('');
+
+  const { key, dir } = imageSort;
+  const val = x => x[key] === null || x[key] === undefined ? -Infinity : (key === 'flags' ? x.flags.length : x[key]);
+  const sorted = rows.slice().sort((a, b) => key === 'url' || key === 'format' ? String(a[key]).localeCompare(String(b[key])) * dir : (val(a) - val(b)) * dir);
+  imagesTableHead.innerHTML = '<tr>' + IMAGE_COLUMNS.map(c => `<th data-sort="${c.key}" class="sortable${c.key === key ? (dir > 0 ? ' asc' : ' desc') : ''}">${c.label}</th>`).join('') + '</tr>';
+  const size = (w, h) => Number(w) ? `${Number(w)}×${Number(h) || 0}` : '-'; // sizes can come from pasted or collected reports
+  const encoded = (x, full, resized) => {
+    if (!x.res) return '-';
+    if (x.res.error) return `<span class="muted" title="${esc(x.res.error)}">failed</span>`;
+    const v = [x.res[full], x.res[resized]].filter(n => typeof n === 'number');
+    return v.length ? kbOrZero(Math.min(...v)) : '<span class="muted">n/a</span>';
+  };
+  imagesTableBody.innerHTML = sorted.map(x => `<tr>
+      <td class="mono" title="${esc(x.url)}">${esc(safeText(x.url, 60))}</td>
+      <td>${esc(x.format)}</td>
+      <td>${x.img ? size(x.img.naturalWidth, x.img.naturalHeight) : (x.res && x.res.width ? size(x.res.width, x.res.height) : '-')}</td>
+      <td>${x.img ? size(x.img.displayWidth, x.img.displayHeight) : '-'}</td>
+      <td class="${x.flags.length ? 'cache-bad' : ''}">${esc(x.flags.join(', ')) || '-'}</td>
+      <td>${kbOrZero(x.transfer)}</td>
+      <td>${encoded(x, 'webp', 'resizedWebp')}</td>
+      <td>${encoded(x, 'avif', 'resizedAvif')}</td>
+      <td class="${x.savings >= MIN_IMAGE_SAVINGS ? 'delta-good' : ''}">${x.savings === null ? '-' : kbOrZero(x.savings)}</td>
+    </tr>`).join('');
+}
+
+imagesTableHead.addEventListener('click', (e) => {
+  const th = e.target.closest('th[data-sort]');
+  if (!th || !window.lastReport) return;
+  imageSort = th.dataset.sort === imageSort.key ? { key: imageSort.key, dir: -imageSort.dir } : { key: th.dataset.sort, dir: ['url', 'format'].includes(th.dataset.sort) ? 1 : -1 };
+  buildImages(window.lastReport);
+});
+
+$('reencodeImages').addEventListener('click', async () => {
+  if (!window.lastReport) { alert('No report yet'); return; }
+  if (!window.createImageBitmap) { alert('This browser cannot decode images for re-encoding (createImageBitmap is missing)'); return; }
+  const quality = Math.min(1, Math.max(0.1, Number(imageQualityEl.value) || 0.8));
+  imageQualityEl.value = quality;
+  const n = await analyzeImages(window.lastReport, quality);
+  renderReport(window.lastReport, { save: false }); // score and audits use the measured savings
+  setStatus(n ? `Re-encoded ${n} images at quality ${quality}` : 'No raster images to re-encode');
+});
+
+/* ---------- Coverage ---------- */
+// CSS coverage comes from collector.js (rules vs the live DOM); script coverage is opt-in: the page is
+// reloaded in a frame with its same-origin scripts instrumented to record which functions ever ran
+const COVERAGE_HOOK = '__perflabCov';
+const COVERAGE_WINDOW_MS = 5000;  // after load; code only run on interaction still counts as unused
+const MIN_UNUSED_BYTES = 2 * 1024;
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'function', 'await']); // `for await (...) {`
+const REGEX_AFTER_PAREN = new Set(['if', 'for', 'while', 'with']); // `if (x) /re/.test(s)`
+const REGEX_PREV = new Set(['', '=>', ...'(,=:[!&|?{};+-*%<>~^']);
+const REGEX_PREV_WORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'yield', 'await']);
+const USE_STRICT = /^\s*(['"])use strict\1;?/;
+
+// Adds a hit call at the start of every function body (declarations, expressions, methods and
+// block-bodied arrows). A small scanner skips strings, templates, comments and regex literals;
+// it is not a parser, so callers check that the result still parses and that `probe` (the source with a
+// bare newline at each insertion point) does too: a newline can't sit inside a regex or quoted string,
+// so a probe that no longer parses means a hook landed in one and the script would silently change.
+function instrumentScript(src, file) {
+  const fns = [];      // { start, end } of each body in the original source
+  const braces = [];   // per open '{': index into fns, -1 for other blocks, 'tpl' for ${ in a template
+  const parens = [];   // identifier in front of each open '('
+  const inserts = [];
+  const isIdent = c => /[\w$]/.test(c);
+  const n = src.length;
+  let i = 0, prev = '', word = '', parenWord = null, fnDepth = -1;
+
+  const skipTemplate = () => {
+    while (i < n) {
+      const c = src[i];
+      if (c === '\\') { i += 2; continue; }
+      if (c === '`') { i++; return; }
+      if (c === '$' && src[i + 1] === '{') { i += 2; braces.push('tpl'); prev = '{'; return; }
+      i++;
+    }
+  };
+  const insertAt = (pos, id) => {
+    const strict = USE_STRICT.exec(src.slice(pos, pos + 40)); // keep a directive prologue first
+    inserts.push([pos + (strict ? strict[0].length : 0), `${COVERAGE_HOOK}.hit(${file},${id});`]);
+  };
+
+  insertAt(0, -1);
+  while (i < n) {
+    const c = src[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '/' && src[i + 1] === '/') { const e = src.indexOf('\n', i); i = e < 0 ? n : e; continue; }
+    if (c === '/' && src[i + 1] === '*') { const e = src.indexOf('*/', i + 2); i = e < 0 ? n : e + 2; continue; }
+    if (c === '"' || c === '\'') {
+      i++;
+      while (i < n && src[i] !== c && src[i] !== '\n') i += src[i] === '\\' ? 2 : 1;
+      i++; prev = 'a'; word = ''; continue;
+    }
+    if (c === '`') { i++; skipTemplate(); if (prev !== '{') prev = 'a'; word = ''; continue; }
+    if (c === '/' && (REGEX_PREV.has(prev) || (prev === 'a' && REGEX_PREV_WORDS.has(word)) || (prev === ')' && REGEX_AFTER_PAREN.has(parenWord)))) {
+      let cls = false;
+      for (i++; i < n && src[i] !== '\n'; i++) {
+        const d = src[i];
+        if (d === '\\') { i++; continue; }
+        if (cls) { if (d === ']') cls = false; } else if (d === '[') cls = true; else if (d === '/') break;
+      }
+      for (i++; i < n && isIdent(src[i]); i++);
+      prev = 'a'; word = ''; continue;
+    }
+    if (isIdent(c)) {
+      let j = i;
+      while (j < n && isIdent(src[j])) j++;
+      word = src.slice(i, j);
+      if (word === 'function') fnDepth = parens.length;
+      i = j; prev = 'a'; continue;
+    }
+    if (c === '=' && src[i + 1] === '>') { i += 2; prev = '=>'; word = ''; continue; }
+    if (c === '(') parens.push(prev === 'a' ? word : null);
+    if (c === ')') parenWord = parens.length ? parens.pop() : null;
+    if (c === '{') {
+      const body = prev === '=>' || (prev === ')' && (fnDepth === parens.length || (parenWord && !CONTROL_KEYWORDS.has(parenWord))));
+      if (body) {
+        insertAt(i + 1, fns.length);
+        braces.push(fns.length);
+        fns.push({ start: i, end: null });
+      } else braces.push(-1);
+      if (prev === ')' && fnDepth === parens.length) fnDepth = -1;
+    }
+    if (c === '}') {
+      const open = braces.pop();
+      if (open === 'tpl') { i++; skipTemplate(); if (prev !== '{') prev = 'a'; word = ''; continue; }
+      if (typeof open === 'number' && open >= 0) fns[open].end = i + 1;
+    }
+    prev = c; word = ''; i++;
+  }
+
+  let code = '', probe = '', last = 0;
+  inserts.sort((a, b) => a[0] - b[0]).forEach(([pos, text]) => {
+    code += src.slice(last, pos) + text;
+    probe += src.slice(last, pos) + '\n';
+    last = pos;
+  });
+  return { code: code + src.slice(last), probe: probe + src.slice(last), fns };
+}
+
+// false on a syntax error, null when it can't be checked (e.g. CSP forbids eval)
+function parsesAsScript(code) {
+  try { new Function(code); return true; } catch (e) { return e instanceof SyntaxError ? false : null; }
+}
+
+// srcdoc frame running the instrumented page; resolves with the hit arrays once the window has passed
+function runCoverageFrame(srcdoc) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe');
+    let timer = null;
+    const finish = (err, hits) => {
+      clearTimeout(timer);
+      frame.remove();
+      runFrameHost.classList.toggle('hidden', runFrameHost.querySelector('iframe') === null);
+      if (err) reject(err); else resolve(hits);
+    };
+    timer = setTimeout(() => finish(new Error(`The instrumented page did not load within ${RUN_TIMEOUT_MS / 1000} s`)), RUN_TIMEOUT_MS);
+    frame.addEventListener('load', () => {
+      setStatus(`Recording script coverage for ${COVERAGE_WINDOW_MS / 1000} s...`);
+      setTimeout(() => {
+        try { finish(null, Array.from(frame.contentWindow[COVERAGE_HOOK].hits)); } catch (e) { finish(new Error('Could not read coverage from the frame: ' + (e.message || e))); }
+      }, COVERAGE_WINDOW_MS);
+    }, { once: true });
+    frame.srcdoc = srcdoc;
+    runFrameHost.classList.remove('hidden');
+    runFrameHost.appendChild(frame);
+  });
+}
+
+// bytes of function bodies that never ran (outermost only, nested ones are inside already)
+function scriptCoverage(file, hits) {
+  if (file.error) return { url: file.url, error: file.error };
+  const bytes = byteLength(file.source);
+  const base = { url: file.url, bytes, functions: file.fns.length };
+  if (!hits || !hits[0]) return Object.assign(base, { ran: false, unusedFunctions: file.fns.length, unusedBytes: bytes });
+  let unusedBytes = 0, unusedFunctions = 0, coveredEnd = -1;
+  file.fns.forEach((fn, i) => {
+    if (hits[i + 1] || fn.end === null) return;
+    unusedFunctions++;
+    if (fn.start < coveredEnd) return;
+    unusedBytes += byteLength(file.source.slice(fn.start, fn.end));
+    coveredEnd = fn.end;
+  });
+  return Object.assign(base, { ran: true, unusedFunctions, unusedBytes });
+}
+
+async function measureScriptCoverage(url) {
+  setStatus('Fetching the page and its scripts...');
+  const res = await fetch(url, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`Could not fetch the page (HTTP ${res.status})`);
+  const doc = new DOMParser().parseFromString(await res.text(), 'text/html');
+  const base = documentBase(doc, url);
+  const scripts = Array.from(doc.querySelectorAll('script[src]')).filter(s =>
+    /^(|module|(text|application)\/(x-)?(java|ecma)script)$/i.test(s.getAttribute('type') || '') &&
+    originOf(new URL(s.getAttribute('src'), base).href) === location.origin);
+  const files = [];
+  const blobs = [];
+  for (const s of scripts) {
+    const src = new URL(s.getAttribute('src'), base).href;
+    setStatus(`Instrumenting script ${files.length + 1}/${scripts.length}...`);
+    let source;
+    try {
+      const r = await fetch(src);
+      if (!r.ok) throw new Error('HTTP ' + r.status);
+      source = await r.text();
+    } catch (e) {
+      files.push({ url: src, fns: [], error: 'Could not fetch: ' + (e.message || e) });
+      continue;
+    }
+    const isModule = /module/i.test(s.getAttribute('type') || '');
+    const { code, probe, fns } = instrumentScript(source, files.length);
+    if (!isModule && parsesAsScript(source) !== false && (parsesAsScript(code) === false || parsesAsScript(probe) === false)) {
+      files.push({ url: src, fns: [], error: 'Skipped: could not instrument this script without changing it (syntax the scanner does not handle)' });
+      continue;
+    }
+    files.push({ url: src, source, fns });
+    s.removeAttribute('integrity');
+    if (isModule) {
+      // relative imports would not resolve from a blob: URL; inline modules resolve against <base>
+      s.removeAttribute('src');
+      s.textContent = code;
+    } else {
+      // a blob: src keeps defer / async / execution order
+      const blobUrl = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+      blobs.push(blobUrl);
+      s.setAttribute('src', blobUrl);
+    }
+  }
+  if (!files.some(f => !f.error)) throw new Error(files.length ? files[0].error : 'The page has no same-origin script files');
+
+  const hook = doc.createElement('script');
+  hook.textContent = `window.${COVERAGE_HOOK}={hits:${JSON.stringify(files.map(f => f.fns.length + 1))}.map(n=>new Uint8Array(n)),hit(f,i){this.hits[f][i+1]=1}};`;
+  doc.querySelectorAll('base').forEach(b => b.remove());
+  const baseEl = doc.createElement('base');
+  baseEl.href = base;
+  doc.head.prepend(baseEl, hook);
+  try {
+    const hits = await runCoverageFrame('<!DOCTYPE html>' + doc.documentElement.outerHTML);
+    return { windowMs: COVERAGE_WINDOW_MS, files: files.map((f, i) => scriptCoverage(f, hits[i])) };
+  } finally {
+    blobs.forEach(u => URL.revokeObjectURL(u));
+  }
+}
+
+// stylesheets and scripts with their unused bytes; `removable` scales the unused share to the transfer size
+function coverageRows(report) {
+  const byUrl = new Map(resourceModel(report).map(r => [stripCacheBust(r.url), r]));
+  const rows = [];
+  (report.cssCoverage || []).forEach(s => {
+    rows.push({ kind: 'css', url: s.url, label: s.url || `inline ${s.owner}`, error: s.error || null,
+      total: s.usedBytes + s.unusedBytes, unused: s.unusedBytes,
+      detail: `${s.unusedRules}/${s.rules} rules match nothing${s.truncated ? ' (rule limit reached)' : ''}` });
+  });
+  ((report.jsCoverage && report.jsCoverage.files) || []).forEach(f => {
+    rows.push({ kind: 'js', url: f.url, label: f.url, error: f.error || null,
+      total: f.bytes || 0, unused: f.unusedBytes || 0,
+      detail: f.error ? '' : (f.ran ? `${f.unusedFunctions}/${f.functions} functions never ran` : 'never ran') });
+  });
+  rows.forEach(x => {
+    x.row = x.url ? byUrl.get(stripCacheBust(x.url)) || null : null;
+    x.ratio = x.total ? x.unused / x.total : 0;
+    x.removable = x.error ? 0 : Math.round(x.row && x.row.transfer ? x.ratio * x.row.transfer : x.unused);
+  });
+  return rows.sort((a, b) => b.removable - a.removable);
+}
+
+function buildCoverage(report) {
+  if (!report.cssCoverage && !report.jsCoverage) { coverageCard.classList.add('hidden'); return; }
+  coverageCard.classList.remove('hidden');
+  const rows = coverageRows(report);
+  const sum = (kind, key) => rows.filter(x => x.kind === kind && !x.error).reduce((s, x) => s + x[key], 0);
+  const pct = (kind) => sum(kind, 'total') ? ` <span class="muted">(${Math.round(sum(kind, 'unused') / sum(kind, 'total') * 100)}%)</span>` : '';
+  const js = report.jsCoverage;
+  coverageStatsEl.innerHTML = [
+    ['Stylesheets', rows.filter(x => x.kind === 'css').length],
+    ['Unused CSS', `${kbOrZero(sum('css', 'unused'))} KB${pct('css')}`],
+    ['Unused JS', js ? `${kbOrZero(sum('js', 'unused'))} KB${pct('js')}` : '<span class="muted">not measured</span>'],
+    ['Removable', `${kbOrZero(rows.reduce((s, x) => s + x.removable, 0))} KB <span class="muted">transfer</span>`],
+  ].map(([label, v]) => `<div class="stat"><div class="label">${label}</div><div>${v}</div></div>`).join('');
+
+  const max = Math.max(1, ...rows.map(x => x.total));
+  coverageTableBody.innerHTML = rows.length ? rows.map(x => `<tr>
+      <td><span class="it-type">${x.kind}</span></td>
+      <td class="mono" title="${esc(x.label)}">${esc(safeText(x.label, 60))}</td>
+      <td class="cov-cell">${x.error ? `<span class="muted">${esc(x.error)}</span>` : `<div class="cov-bar" style="width:${Math.max(2, x.total / max * 100)}%" title="${Math.round(x.ratio * 100)}% unused">
+        <span class="cov-used" style="width:${(1 - x.ratio) * 100}%"></span><span class="cov-unused" style="width:${x.ratio * 100}%"></span></div>`}</td>
+      <td>${x.error ? '-' : kbOrZero(x.unused)}</td>
+      <td>${x.error ? '-' : kbOrZero(x.total)}</td>
+      <td class="${x.removable >= MIN_UNUSED_BYTES ? 'cache-bad' : ''}">${x.error ? '-' : kbOrZero(x.removable)}</td>
+      <td class="muted">${esc(x.detail)}</td>
+    </tr>`).join('') : '<tr><td colspan="7" class="muted">No stylesheets or scripts measured</td></tr>';
+  coverageMetaEl.textContent = js
+    ? `Scripts: functions run during load + ${js.windowMs / 1000} s. CSS: rules matching the DOM when the report was taken.`
+    : 'CSS: rules matching the DOM when the report was taken. Scripts are not measured until you instrument them.';
+}
+
+$('instrumentScripts').addEventListener('click', async () => {
+  const report = window.lastReport;
+  if (!report) { alert('No report yet'); return; }
+  if (originOf(report.url) !== location.origin) { alert('Script coverage reloads the page in a frame, so it only works for pages on this origin (current page mode)'); return; }
+  try {
+    report.jsCoverage = await measureScriptCoverage(report.url);
+  } catch (e) {
+    console.error(e);
+    alert('Script coverage failed: ' + (e.message || e));
+    setStatus('Script coverage failed');
+    return;
+  }
+  renderReport(report, { save: false }); // the unused-code audit picks up the JS numbers
+  const files = report.jsCoverage.files;
+  setStatus(`Instrumented ${files.filter(f => !f.error).length}/${files.length} scripts`);
+});
+
+/* ---------- Audits ---------- */
+// Each rule looks at the report on its own and returns null (passed / not applicable)
+// or { items: [resource index], savingsMs, savingsKB, detail: HTML }.
+const AUDIT_THRESHOLDS = {
+  minTextBytes: 1400,          // below one packet compression doesn't matter
+  minCacheTtl: 7 * 24 * 3600,  // seconds
+  imageBytes: 100 * 1024,
+  maxOrigins: 10,
+};
+const REFERENCE_BYTES_PER_MS = 1.6e6 / 8 / 1000; // 1.6 Mbps (slow 4G) to turn bytes into time
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+function headerMap(r) {
+  const m = {};
+  (r.responseHeaders || []).forEach(h => { m[(h.name || '').toLowerCase()] = h.value; });
+  return m;
+}
+
+// Browser cache lifetime in seconds from response headers (null = headers say nothing)
+function cacheTtl(headers) {
+  const cc = (headers['cache-control'] || '').toLowerCase();
+  if (/no-store|no-cache/.test(cc)) return 0;
+  const maxAge = cc.match(/(?:^|,)\s*max-age=(\d+)/);
+  if (maxAge) return Number(maxAge[1]);
+  if (headers.expires) {
+    const exp = Date.parse(headers.expires), date = Date.parse(headers.date) || Date.now();
+    return isNaN(exp) ? 0 : Math.max(0, Math.round((exp - date) / 1000));
+  }
+  return null;
+}
+
+// resource model plus the flags the rules need
+function auditRows(report) {
+  let pageOrigin = null;
+  try { pageOrigin = new URL(report.url).origin; } catch (e) { /* ignore */ }
+  return resourceModel(report).map(r => Object.assign({}, r, {
+    crossOrigin: !!(r.origin && pageOrigin && r.origin !== pageOrigin),
+    thirdParty: !r.firstParty,
+    setupMs: (r.raw.connectEnd > 0 && r.raw.domainLookupStart > 0) ? Math.max(0, r.raw.connectEnd - r.raw.domainLookupStart) : 0,
+    isText: isTextResource(r),
+    isImage: r.type === 'image',
+    isStatic: ['script', 'stylesheet', 'font', 'image', 'media'].includes(r.type),
+  }));
+}
+
+const AUDIT_RULES = [
+  {
+    id: 'uncompressed-text', title: 'Enable text compression', severity: 'high',
+    run({ rows, report }) {
+      const bad = rows.filter(r => r.isText && r.transfer > AUDIT_THRESHOLDS.minTextBytes && isUncompressed(r));
+      if (!bad.length) return null;
+      // measured brotli estimate when "Estimate compression" ran, else gzip/brotli's typical ~70% on text
+      const measured = report.compression || {};
+      const bytes = bad.reduce((s, r) => s + (measured[r.url] && !measured[r.url].error ? measured[r.url].bytes - measured[r.url].brotli : (r.decoded || r.transfer) * 0.7), 0);
+      return { items: bad.map(r => r.idx), savingsKB: bytes / 1024, savingsMs: bytes / REFERENCE_BYTES_PER_MS,
+        detail: 'These text assets are served without gzip/brotli. Enable compression on the server or CDN.' };
+    }
+  },
+  {
+    id: 'cache-lifetime', title: 'Serve static assets with a long cache lifetime', severity: 'medium',
+    run({ rows }) {
+      const bad = rows.filter(r => r.isStatic && r.hasHeaders && (cacheTtl(r.headers) === null || cacheTtl(r.headers) < AUDIT_THRESHOLDS.minCacheTtl));
+      if (!bad.length) return null;
+      return { items: bad.map(r => r.idx), savingsKB: bad.reduce((s, r) => s + r.transfer, 0) / 1024, savingsMs: 0,
+        detail: `Static assets with no or a short (< ${AUDIT_THRESHOLDS.minCacheTtl / 86400} days) <code>Cache-Control: max-age</code> are re-downloaded or revalidated on repeat visits. Fingerprint file names and cache them for a year.` };
+    }
+  },
+  {
+    id: 'render-blocking', title: 'Eliminate render-blocking resources', severity: 'high',
+    run({ rows }) {
+      const bad = rows.filter(r => r.blocking);
+      if (!bad.length) return null;
+      return { items: bad.map(r => r.idx), savingsKB: 0, savingsMs: Math.max(...bad.map(r => r.duration)),
+        detail: 'Scripts and stylesheets in <code>&lt;head&gt;</code> delay the first paint. Add <code>defer</code>/<code>async</code> to scripts, inline critical CSS and load the rest with <code>media</code> or <code>preload</code>.' };
+    }
+  },
+  {
+    id: 'duplicate-urls', title: 'Avoid duplicate requests', severity: 'medium',
+    run({ rows }) {
+      const seen = new Map();
+      const dupes = [];
+      rows.forEach(r => {
+        const key = r.url.split('#')[0];
+        if (seen.has(key)) dupes.push(r); else seen.set(key, r);
+      });
+      if (!dupes.length) return null;
+      const bytes = dupes.reduce((s, r) => s + r.transfer, 0);
+      return { items: dupes.map(r => r.idx), savingsKB: bytes / 1024, savingsMs: bytes / REFERENCE_BYTES_PER_MS,
+        detail: 'The same URL was fetched more than once. Deduplicate script/style includes and check cache headers.' };
+    }
+  },
+  {
+    id: 'oversized-images', title: 'Properly size and compress images', severity: 'medium',
+    run({ rows, report }) {
+      const measured = imageSavingsByUrl(report);
+      if (measured.size) {
+        const bad = rows.filter(r => r.isImage && (measured.get(r.url) || 0) >= MIN_IMAGE_SAVINGS);
+        if (!bad.length) return null;
+        const bytes = bad.reduce((s, r) => s + measured.get(r.url), 0);
+        return { items: bad.map(r => r.idx), savingsKB: bytes / 1024, savingsMs: bytes / REFERENCE_BYTES_PER_MS,
+          detail: `Measured by re-encoding to WebP/AVIF at quality ${report.imageAnalysis.quality} (and resizing images shown smaller than their intrinsic size).` };
+      }
+      const bad = rows.filter(r => r.isImage && r.transfer > AUDIT_THRESHOLDS.imageBytes);
+      if (!bad.length) return null;
+      const bytes = bad.reduce((s, r) => s + r.transfer, 0) * 0.3; // rough: modern formats/resizing save ~30%
+      return { items: bad.map(r => r.idx), savingsKB: bytes / 1024, savingsMs: bytes / REFERENCE_BYTES_PER_MS,
+        detail: `Images over ${AUDIT_THRESHOLDS.imageBytes / 1024} KB. Resize them to their display size and serve WebP/AVIF. Use "Re-encode images" to measure the savings.` };
+    }
+  },
+  {
+    id: 'unsized-images', title: 'Set explicit width and height on images', severity: 'medium',
+    run({ rows, report }) {
+      const unsized = new Set((report.images || []).filter(i => !i.hasSize).map(i => stripCacheBust(i.url)));
+      const bad = rows.filter(r => r.isImage && unsized.has(stripCacheBust(r.url)));
+      if (!bad.length) return null;
+      return { items: bad.map(r => r.idx), savingsMs: 0, savingsKB: 0,
+        detail: 'Images without <code>width</code> and <code>height</code> attributes (or a CSS <code>aspect-ratio</code>) reserve no space until they load, so the content below them shifts (CLS).' };
+    }
+  },
+  {
+    id: 'unused-code', title: 'Remove unused CSS and JavaScript', severity: 'medium',
+    run({ report }) {
+      const bad = coverageRows(report).filter(x => x.removable >= MIN_UNUSED_BYTES);
+      if (!bad.length) return null;
+      const bytes = bad.reduce((s, x) => s + x.removable, 0);
+      const kinds = ['css', 'js'].filter(k => bad.some(x => x.kind === k)).map(k => k.toUpperCase()).join(' and ');
+      return { items: bad.filter(x => x.row).map(x => x.row.idx), savingsKB: bytes / 1024, savingsMs: bytes / REFERENCE_BYTES_PER_MS,
+        detail: `About ${kbOrZero(bytes)} KB of ${kinds} is never used on this page. Split CSS per page (inline the critical part) and code-split or lazy-load scripts. ` +
+          'CSS rules for other pages, states or breakpoints also count as unused here.' };
+    }
+  },
+  {
+    id: 'too-many-origins', title: 'Reduce the number of origins', severity: 'low',
+    run({ rows }) {
+      const first = new Map();
+      rows.forEach(r => { if (r.origin && !first.has(r.origin)) first.set(r.origin, r); });
+      if (first.size <= AUDIT_THRESHOLDS.maxOrigins) return null;
+      const firsts = Array.from(first.values());
+      const setups = firsts.map(r => r.setupMs).filter(Boolean);
+      const perOrigin = setups.length ? setups.reduce((a, b) => a + b, 0) / setups.length : 100;
+      return { items: firsts.map(r => r.idx), savingsKB: 0, savingsMs: (first.size - AUDIT_THRESHOLDS.maxOrigins) * perOrigin,
+        detail: `${first.size} origins were contacted; each new one costs DNS + connection setup. Self-host critical assets or consolidate vendors.` };
+    }
+  },
+  {
+    id: 'preconnect', title: 'Preconnect to required origins', severity: 'medium',
+    run({ rows, report }) {
+      const hinted = new Set();
+      (report.hints || []).forEach(h => { if (/preconnect/i.test(h.rel)) { try { hinted.add(new URL(h.href, report.url).origin); } catch (e) { /* ignore */ } } });
+      const lcpUrl = report.lcpAttribution && report.lcpAttribution.url;
+      const critical = new Map();
+      rows.filter(r => r.crossOrigin && (r.blocking || r.url === lcpUrl)).forEach(r => {
+        if (!hinted.has(r.origin) && !critical.has(r.origin)) critical.set(r.origin, r);
+      });
+      if (!critical.size) return null;
+      const firsts = Array.from(critical.values());
+      return { items: firsts.map(r => r.idx), savingsKB: 0, savingsMs: Math.max(...firsts.map(r => r.setupMs || 100)),
+        detail: `Critical resources come from ${firsts.map(r => code(r.origin)).join(', ')} without a <code>&lt;link rel="preconnect"&gt;</code>. Preconnect so DNS/TCP/TLS happen while the HTML is still parsing.` };
+    }
+  },
+  {
+    id: 'inp', title: 'Reduce interaction latency (INP)', severity: 'high',
+    run({ report }) {
+      if (!report.inp || report.inp <= INP_GOOD) return null;
+      const at = report.inpAttribution || {};
+      return { items: [], savingsKB: 0, savingsMs: report.inp - INP_GOOD,
+        detail: `INP is ${ms(report.inp)} ms${at.selector ? ` (${esc(at.type)} on ${code(at.selector)})` : ''} — split that handler's work, yield to the main thread and defer non-urgent updates.` };
+    }
+  },
+  {
+    id: 'ttfb', title: 'Reduce server response time (TTFB)', severity: 'high',
+    run({ report }) {
+      const tb = report.ttfbBreakdown;
+      if (!tb || tb.ttfb <= TTFB_GOOD) return null;
+      const phase = TTFB_PHASES.filter(p => p.key !== 'other' || tb.other > 0).sort((x, y) => tb[y.key] - tb[x.key])[0];
+      return { items: [], savingsKB: 0, savingsMs: tb.ttfb - TTFB_GOOD,
+        detail: `TTFB is ${ms(tb.ttfb)} ms, mostly ${phase.label} (${ms(tb[phase.key])} ms) — ${phase.advice}.` };
+    }
+  },
+  {
+    id: 'long-tasks', title: 'Reduce main-thread blocking', severity: 'medium',
+    run({ report, rows }) {
+      const mt = report.mainThread || mainThreadBlocking(report);
+      if (!mt.tbt) return null;
+      const top = mt.scripts.filter(g => g.url).slice(0, 3);
+      return { items: rows.filter(r => top.some(g => g.url === r.url)).map(r => r.idx), savingsKB: 0, savingsMs: mt.tbt,
+        detail: `Total Blocking Time is ${mt.tbt} ms over ${mt.tasks.length} long task(s)` +
+          (top.length ? `; most of it comes from ${top.map(g => code(safeText(g.url, 80))).join(', ')}` : '') +
+          ' — break up heavy JS work, defer third-party tags or move work to a web worker.' };
+    }
+  },
+];
+
+// budget failures become audits too, pointing at the resources that count against the line
+const BUDGET_ITEMS = {
+  maxLCP: (r, report) => !!report.lcpAttribution && r.url === report.lcpAttribution.url,
+  maxScriptKB: r => r.type === 'script',
+  maxImageCount: r => r.isImage,
+  maxThirdPartyRequests: r => r.thirdParty,
+};
+
+function runAudits(report, budgetResults) {
+  const ctx = { report, rows: auditRows(report) };
+  const results = [];
+  budgetResults.filter(b => b.pass === false).forEach(b => {
+    const line = BUDGET_LINES.find(l => l.key === b.key);
+    const match = BUDGET_ITEMS[b.key];
+    results.push({ id: 'budget-' + b.key, title: `Over budget: ${line.label}`, severity: 'high',
+      items: match ? ctx.rows.filter(r => match(r, report)).map(r => r.idx) : [], savingsMs: 0, savingsKB: 0, detail: line.advice(b.actual, b.limit, report) });
+  });
+  AUDIT_RULES.forEach(rule => {
+    let out = null;
+    try { out = rule.run(ctx); } catch (e) { console.error('audit ' + rule.id, e); }
+    if (out) results.push(Object.assign({ id: rule.id, title: rule.title, severity: rule.severity }, out));
+  });
+  results.forEach(a => { a.savingsMs = Math.round(a.savingsMs || 0); a.savingsKB = Math.round((a.savingsKB || 0) * 10) / 10; });
+  return results.sort((a, b) => (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]) || (b.savingsMs - a.savingsMs) || (b.savingsKB - a.savingsKB));
+}
+
+function renderAudits(audits, report) {
+  if (audits.length === 0) {
+    suggestionsEl.innerHTML = '<div class="muted">No audits failed. Still consider compression, caching and lazy-loading.</div>';
+    return;
+  }
+  const resources = report.resources || [];
+  suggestionsEl.innerHTML = audits.map(a => {
+    const savings = [a.savingsMs ? `~${a.savingsMs} ms` : '', a.savingsKB ? `~${a.savingsKB} KB` : ''].filter(Boolean).join(' · ');
+    const items = a.items.map(i => {
+      const r = resources[i] || {};
+      const url = r.name || r.url || '';
+      return `<li><a href="#res-${i}" data-res="${i}" class="mono" title="${esc(url)}">${esc(safeText(url, 90))}</a> <span>${kb(resourceBytes(r))} KB</span></li>`;
+    }).join('');
+    return `<details class="audit sev-${a.severity}">
+      <summary><span class="sev">${a.severity}</span> ${esc(a.title)}${savings ? ` <span class="savings">${savings}</span>` : ''}${a.items.length ? ` <span class="count">${a.items.length}</span>` : ''}</summary>
+      <div class="audit-detail">${a.detail || ''}</div>
+      ${items ? `<ul class="audit-items">${items}</ul>` : ''}
+    </details>`;
+  }).join('');
+}
+
+// jump from an audit item to its row in the resources table
+suggestionsEl.addEventListener('click', (e) => {
+  const link = e.target.closest('a[data-res]');
+  if (!link) return;
+  e.preventDefault();
+  const row = $('res-' + link.dataset.res);
+  if (!row) return;
+  if (row.style.display === 'none') { searchResource.value = ''; searchResource.dispatchEvent(new Event('input')); }
+  row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  row.classList.remove('flash');
+  void row.offsetWidth; // restart the animation
+  row.classList.add('flash');
+});
+
+/* ---------- Rendering report & visuals ---------- */
+// Headline metrics for a report (shared by the summary card, history and comparisons)
+function summarizeReport(report, profile = currentScoreProfile) {
+  const totalBytes = (report.resources || []).reduce((sum, r) => sum + resourceBytes(r), 0);
+  const summary = {
+    url: report.url || '',
+    requests: (report.resources || []).length,
+    totalBytes,
+    ttfb: report.nav ? report.nav.responseStart : null,
+    fcp: report.fcp || null,
+    lcp: report.lcp || null,
+    cls: (report.cls !== null && report.cls !== undefined) ? report.cls : null,
+    inp: report.inp || null,
+    longTasks: (report.longTasks || []).length,
+    tbt: mainThreadBlocking(report).tbt,
+  };
+  summary.imageSavings = imageSavingsBytes(report);
+  summary.scoring = computeScore(summary, profile);
+  summary.score = summary.scoring.score;
+  return summary;
+}
+
+function renderReport(report, { save = true } = {}) {
+  setStatus('Rendering report...');
+  // show main sections
+  summaryCard.classList.remove('hidden');
+  chartsCard.classList.remove('hidden');
+  waterfallCard.classList.remove('hidden');
+  resourcesCard.classList.remove('hidden');
+  rawCard.classList.remove('hidden');
+
+  const summary = summarizeReport(report);
+  const totalBytes = summary.totalBytes;
+
+  // Basic summary
+  summaryUrl.textContent = safeText(report.url, 160);
+  summaryReqs.textContent = summary.requests;
+  summaryBytes.textContent = (totalBytes ? kb(totalBytes) + ' KB' : '-');
+  summaryTTFB.textContent = report.nav ? ms(report.nav.responseStart || report.nav.responseStart) : '-';
+  summaryLCP.textContent = report.lcp ? ms(report.lcp) : '-';
+  summaryCLS.textContent = (report.cls !== null && report.cls !== undefined) ? report.cls.toFixed ? report.cls.toFixed(3) : report.cls : '-';
+  summaryFCP.textContent = report.fcp ? ms(report.fcp) : '-';
+  summaryINP.textContent = report.inp ? ms(report.inp) : '-';
+  summaryLongTasks.textContent = summary.longTasks;
+  summaryTBT.textContent = summary.tbt === null ? '-' : summary.tbt;
+
+  // Performance score (scoring.js curves under the selected profile)
+  const score = summary.score;
+  report.scoring = summary.scoring;
+  perfScoreEl.textContent = score === null ? '-' : score;
+  renderScoreBreakdown(summary.scoring);
+  perfScoreEl.style.background = score > 80 ? 'linear-gradient(90deg,#34d399,#60a5fa)' : (score > 50 ? 'linear-gradient(90deg,#f59e0b,#f97316)' : 'linear-gradient(90deg,#ef4444,#f43f5e)');
+
+  // Web Vitals detail
+  report.ttfbBreakdown = ttfbBreakdown(report.nav);
+  renderTtfbBreakdown(report.ttfbBreakdown);
+  renderAttribution(report);
+
+  // Multi-run spread (the rendered report is the median run)
+  buildRuns(report);
+
+  // Main thread: TBT, TTI and which scripts block
+  report.mainThread = mainThreadBlocking(report);
+  buildMainThread(report);
+
+  // Budget
+  const budgetResults = evaluateBudget(report, summary, currentBudget);
+  report.budget = { limits: Object.assign({}, currentBudget), results: budgetResults };
+  renderBudgetResults(budgetResults);
+
+  // Audits (replace the old inline suggestion heuristics)
+  report.audits = runAudits(report, budgetResults);
+  renderAudits(report.audits, report);
+
+  // Charts: cumulative bytes timeline, top slow, type pie, protocol chart
+  buildCharts(report);
+
+  // Third-party / origin attribution
+  buildThirdParty(report);
+  buildCaching(report);
+  buildImages(report);
+  buildCoverage(report);
+
+  // Waterfall: render bars
+  buildWaterfall(report);
+  buildInitiatorTree(report);
+
+  // Estimated load under the selected network profile
+  buildSimulation(report);
+
+  // Resources table
+  buildResourcesTable(report);
+
+  // raw JSON
+  rawOut.textContent = JSON.stringify(report, null, 2);
+
+  // store lastReport for export
+  window.lastReport = report;
+
+  if (save) {
+    saveReportToHistory(report, summary)
+      .then(refreshHistory)
+      .catch(e => { console.error(e); setStatus('Done (report not saved to history: ' + (e.message || e) + ')'); });
+  }
+
+  setStatus('Done');
+}
+
+/* ---------- Score calculation ---------- */
+// Curves and profiles live in scoring.js so exported reports can be re-scored outside PerfLab too
+const SCORE_PROFILE_STORAGE_KEY = 'perflab.scoreProfile';
+
+function loadScoreProfile() {
+  try {
+    const saved = localStorage.getItem(SCORE_PROFILE_STORAGE_KEY);
+    return saved ? PerfLabScoring.validateProfile(JSON.parse(saved)) : PerfLabScoring.PROFILES.mobile;
+  } catch (e) {
+    console.error(e);
+    return PerfLabScoring.PROFILES.mobile;
+  }
+}
+
+let currentScoreProfile = loadScoreProfile();
+
+// summary-shaped values (see PerfLabScoring.METRICS) -> { profile, score, values, breakdown }
+// 0 bytes or a 0 ms TTFB means the report has no sizes / timing (e.g. cross-origin entries), so they drop out
+// like other unmeasured metrics instead of scoring as perfect
+function computeScore(values, profile = currentScoreProfile) {
+  return PerfLabScoring.score(Object.assign({}, values, { totalBytes: values.totalBytes || null, ttfb: values.ttfb || null }), profile);
+}
+
+function syncScoreProfileInputs() {
+  const builtIn = PerfLabScoring.PROFILES[currentScoreProfile.name];
+  scoreProfileEl.value = builtIn && JSON.stringify(builtIn) === JSON.stringify(currentScoreProfile) ? currentScoreProfile.name : 'custom';
+  scoreProfileInput.value = JSON.stringify(currentScoreProfile, null, 2);
+}
+
+// re-score everything on screen: the report, its runs, the crawl, history and an open comparison
+function setScoreProfile(profile) {
+  currentScoreProfile = PerfLabScoring.validateProfile(profile);
+  localStorage.setItem(SCORE_PROFILE_STORAGE_KEY, JSON.stringify(currentScoreProfile));
+  syncScoreProfileInputs();
+  if (window.lastReport) renderReport(window.lastReport, { save: false });
+  if (lastCrawl && !crawlCard.classList.contains('hidden')) {
+    lastCrawl.pages.forEach(p => { if (p.report) p.score = summarizeReport(p.report).score; });
+    renderCrawl(lastCrawl);
+  }
+  if (lastComparison && !compareCard.classList.contains('hidden')) renderComparison(...lastComparison);
+  refreshHistory();
+}
+
+const scoreValue = (b, v) => b.key === 'cls' ? v.toFixed(3) : (b.unit === 'bytes' ? `${kbOrZero(v)} KB` : `${ms(v)}${b.unit ? ' ' + b.unit : ''}`);
+
+function renderScoreBreakdown(scoring) {
+  scoreBreakdownEl.innerHTML = `<div class="label">Score breakdown <span class="muted">(${esc(scoring.profile)} profile · good = 0.9, poor = 0.5)</span></div>
+    <table class="res-table"><thead><tr><th>Metric</th><th>Value</th><th>Good / poor</th><th>Metric score</th><th>Points</th></tr></thead><tbody>` +
+    scoring.breakdown.map(b => `<tr${b.score === null ? ' class="muted"' : ''}>
+      <td>${esc(b.label)}</td>
+      <td>${b.value === null ? 'not measured' : scoreValue(b, b.value)}</td>
+      <td>${scoreValue(b, b.good)} / ${scoreValue(b, b.poor)}</td>
+      <td>${b.score === null ? '-' : `<div class="score-bar" title="${Math.round(b.score * 100)} / 100"><span style="width:${b.score * 100}%;background:${scoreColor(b.score * 100)}"></span></div>`}</td>
+      <td>${b.points === null ? `- <span class="muted">(weight ${b.weight})</span>` : `${b.points.toFixed(1)} / ${b.maxPoints.toFixed(1)}`}</td>
+    </tr>`).join('') + '</tbody></table>';
+}
+
+scoreProfileEl.addEventListener('change', () => {
+  const builtIn = PerfLabScoring.PROFILES[scoreProfileEl.value];
+  if (!builtIn) { scoreProfileInput.focus(); return; } // custom: edit the JSON, then Apply
+  setScoreProfile(builtIn);
+  setStatus(`Scoring with the ${builtIn.name} profile`);
+});
+
+$('applyScoreProfile').addEventListener('click', () => {
+  try { setScoreProfile(JSON.parse(scoreProfileInput.value)); setStatus(`Scoring with the ${currentScoreProfile.name} profile`); } catch (e) { alert('Invalid scoring profile: ' + (e.message || e)); }
+});
+
+$('loadScoreProfile').addEventListener('click', () => scoreProfileFileInput.click());
+scoreProfileFileInput.addEventListener('change', async () => {
+  const file = scoreProfileFileInput.files[0];
+  if (!file) return;
+  try { setScoreProfile(JSON.parse(await file.text())); setStatus(`Scoring profile loaded from ${file.name}`); } catch (e) { alert('Invalid scoring profile file: ' + (e.message || e)); }
+  scoreProfileFileInput.value = '';
+});
+
+/* ---------- Charts using Chart.js ---------- */
+// cumulative transfer over time, bucketed into { t, v } points (v in bytes)
+function cumulativeBytes(res) {
+  const sortedByStart = [...res].sort((a, b) => a.start - b.start);
+  const buckets = [];
+  let acc = 0;
+  let lastT = 0;
+  sortedByStart.forEach(x => {
+    const t = Math.round(x.start);
+    if (t - lastT > 200) {
+      buckets.push({ t: lastT, v: acc });
+      lastT = t;
+    }
+    acc += x.transfer;
+    buckets.push({ t, v: acc });
+    lastT = t;
+  });
+  // ensure at least one point
+  if (buckets.length === 0) buckets.push({ t: 0, v: 0 });
+  return buckets;
+}
+
+function buildCharts(report) {
+  const res = resourceModel(report);
+
+  // cumulative bytes over time (bucketed)
+  const buckets = cumulativeBytes(res);
+
+  // Cumulative Bytes Chart
+  const cumLabels = buckets.map(b => b.t);
+  const cumData = buckets.map(b => Math.round(b.v / 1024 * 100) / 100); // KB
+  if (charts.cum) charts.cum.destroy();
+  charts.cum = new Chart(cumBytesCanvas, {
+    type: 'line',
+    data: { labels: cumLabels, datasets: [{ label: 'Cumulative KB', data: cumData, fill: true }]},
+    options: { plugins: { legend: { display: false } }, scales: { x: { title: { display: true, text: 'Start time (ms)' } }, y: { title: { display: true, text: 'KB' } } } }
+  });
+
+  // Top slow resources
+  // multi-run reports: median duration with min/max whiskers
+  const dur = r => r.durationStats ? r.durationStats.median : r.duration;
+  const topSlow = [...res].sort((a, b) => dur(b) - dur(a)).slice(0, 8);
+  if (charts.topSlow) charts.topSlow.destroy();
+  charts.topSlow = new Chart(topSlowCanvas, {
+    type: 'bar',
+    data: { labels: topSlow.map(r => safeText(r.url, 40)), datasets: [{
+      label: report.multiRun ? 'Median duration ms' : 'Duration ms',
+      data: topSlow.map(r => ms(dur(r))),
+      errorBars: report.multiRun ? topSlow.map(r => r.durationStats && { min: r.durationStats.min, max: r.durationStats.max }) : null,
+    }]},
+    options: { indexAxis: 'y', plugins: { legend: { display: false } }, scales: { x: { title: { display: true, text: 'ms' } } } },
+    plugins: [errorBarsPlugin],
+  });
+
+  // Type distribution
+  const typeCounts = {};
+  res.forEach(r => typeCounts[r.type] = (typeCounts[r.type] || 0) + 1);
+  const tLabels = RESOURCE_TYPES.filter(t => typeCounts[t]);
+  const tData = tLabels.map(k => typeCounts[k]);
+  if (charts.typePie) charts.typePie.destroy();
+  charts.typePie = new Chart(typePieCanvas, {
+    type: 'pie',
+    data: { labels: tLabels, datasets: [{ data: tData }]},
+    options: { plugins: { legend: { position: 'right' } } }
+  });
+
+  // Protocols
+  const protoCounts = {};
+  res.forEach(r => protoCounts[r.protocol || 'unknown'] = (protoCounts[r.protocol || 'unknown'] || 0) + 1);
+  const pLabels = Object.keys(protoCounts);
+  const pData = pLabels.map(k => protoCounts[k]);
+  if (charts.proto) charts.proto.destroy();
+  charts.proto = new Chart(protocolCanvas, {
+    type: 'doughnut',
+    data: { labels: pLabels, datasets: [{ data: pData }]},
+    options: { plugins: { legend: { position: 'right' } } }
+  });
+}
+
+/* ---------- Waterfall (phase segments, milestones, zoom/pan, virtualized) ---------- */
+const WF_ROW_HEIGHT = 26;
+const WF_DETAIL_HEIGHT = 220; // expanded rows scroll internally so heights stay predictable
+const WF_OVERSCAN = 8;
+// "nice" tick step for a time span (1/2/5 x 10^n)
+function tickStep(span, target = 8) {
+  const raw = span / target;
+  const pow = Math.pow(10, Math.floor(Math.log10(raw || 1)));
+  return [1, 2, 5, 10].map(m => m * pow).find(st => st >= raw) || pow * 10;
+}
+
+function headerRows(headers) {
+  return (headers || []).map(h => `<tr><td>${esc(h.name)}</td><td class="mono">${esc(safeText(h.value, 300))}</td></tr>`).join('');
+}
+
+function waterfallDetail(row) {
+  const r = row.raw;
+  const timing = row.phases.map(p => `<tr><td>${p.key === 'total' ? 'Total (no detail)' : RESOURCE_PHASES.find(x => x.key === p.key).label}</td><td>${ms(p.start)}</td><td>${ms(p.end - p.start)}</td></tr>`).join('');
+  const facts = [
+    ['Status', row.status || '-'],
+    ['Protocol', row.protocol],
+    ['Type', row.initiatorType ? `${row.type} (${row.initiatorType})` : row.type],
+    ...(row.initiator ? [['Initiator', row.initiator]] : []),
+    ['MIME', row.mime || '-'],
+    ['Party', row.firstParty ? 'First party' : row.entity],
+    ['Transfer', `${kb(row.transfer) || 0} KB`],
+    ['Encoded / decoded', `${kb(row.encoded) || '-'} / ${kb(row.decoded) || '-'} KB`],
+  ].map(([k, v]) => `<tr><td>${k}</td><td>${esc(v)}</td></tr>`).join('');
+  const resH = headerRows(r.responseHeaders);
+  const reqH = headerRows(r.requestHeaders);
+  return `<div class="wf-detail">
+    <div><h4>Timing</h4><table><thead><tr><th>Phase</th><th>Start (ms)</th><th>Duration (ms)</th></tr></thead><tbody>${timing}</tbody></table>
+      <div class="muted">Started ${ms(row.start)} ms · total ${ms(row.duration)} ms</div>
+      <h4>Response</h4><table><tbody>${facts}</tbody></table></div>
+    <div><h4>Response headers</h4>${resH ? `<table><tbody>${resH}</tbody></table>` : '<div class="muted">Not available for this resource</div>'}
+      ${reqH ? `<h4>Request headers</h4><table><tbody>${reqH}</tbody></table>` : ''}</div>
+  </div>`;
+}
+
+// Waterfall widget bound to a container; render() can be called repeatedly with new rows
+function createWaterfall(root) {
+  root.innerHTML = `<div class="wf-toolbar">
+      <div class="wf-zoom">
+        <button class="ghost small" data-zoom="in" title="Zoom in (Ctrl + wheel)">+</button>
+        <button class="ghost small" data-zoom="out" title="Zoom out">−</button>
+        <button class="ghost small" data-zoom="reset">Reset</button>
+        <span class="wf-range muted"></span>
+      </div>
+      <div class="wf-legend">${RESOURCE_PHASES.map(p => `<span><i class="wf-seg ${p.key}"></i>${p.label}</span>`).join('')}</div>
+    </div>
+    <div class="wf-header"><div class="wf-label">Resource</div><div class="wf-axis"></div></div>
+    <div class="wf-line wf-lane hidden"><div class="wf-label" title="Long tasks; the part over 50 ms counts as blocking">Main thread</div><div class="wf-track wf-main"></div></div>
+    <div class="wf-viewport"><div class="wf-spacer"><div class="wf-rows"></div></div></div>`;
+  const axis = root.querySelector('.wf-axis');
+  const lane = root.querySelector('.wf-lane');
+  const laneTrack = root.querySelector('.wf-main');
+  const viewport = root.querySelector('.wf-viewport');
+  const spacer = root.querySelector('.wf-spacer');
+  const rowsEl = root.querySelector('.wf-rows');
+  const rangeEl = root.querySelector('.wf-range');
+
+  const state = { rows: [], milestones: [], mainThread: [], maxEnd: 1, from: 0, to: 1, expanded: new Set(), offsets: [0], frame: 0 };
+
+  const pct = t => (t - state.from) / (state.to - state.from) * 100;
+  const rowHeight = row => WF_ROW_HEIGHT + (state.expanded.has(row.idx) ? WF_DETAIL_HEIGHT : 0);
+
+  function layout() {
+    state.offsets = [0];
+    state.rows.forEach(row => state.offsets.push(state.offsets[state.offsets.length - 1] + rowHeight(row)));
+    spacer.style.height = state.offsets[state.offsets.length - 1] + 'px';
+  }
+
+  function firstVisible(top) {
+    let lo = 0, hi = state.rows.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (state.offsets[mid] <= top) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  function markersHtml() {
+    return state.milestones.filter(m => m.t >= state.from && m.t <= state.to)
+      .map(m => `<div class="wf-marker ${m.key}" style="left:${pct(m.t)}%" title="${m.label} ${ms(m.t)} ms"></div>`).join('');
+  }
+
+  function barHtml(row) {
+    const segs = row.phases.map(p => {
+      const l = Math.max(0, pct(p.start)), r = Math.min(100, pct(p.end));
+      if (r <= 0 || l >= 100) return '';
+      return `<div class="wf-seg ${p.key}" style="left:${l}%;width:${Math.max(0.15, r - l)}%"></div>`;
+    }).join('');
+    return segs + markersHtml();
+  }
+
+  function renderAxis() {
+    const span = state.to - state.from;
+    const step = tickStep(span);
+    let ticks = '';
+    for (let t = Math.ceil(state.from / step) * step; t <= state.to; t += step) ticks += `<span class="wf-tick" style="left:${pct(t)}%">${ms(t)}</span>`;
+    const marks = state.milestones.filter(m => m.t >= state.from && m.t <= state.to)
+      .map(m => `<span class="wf-mlabel ${m.key}" style="left:${pct(m.t)}%">${m.label}</span>`).join('');
+    axis.innerHTML = ticks + marks;
+    rangeEl.textContent = `${ms(state.from)}–${ms(state.to)} ms`;
+    renderLane();
+  }
+
+  // main-thread tasks on the same time axis; the first 50 ms of a task are drawn light
+  function renderLane() {
+    lane.classList.toggle('hidden', state.mainThread.length === 0);
+    const block = (cls, from, to, title) => {
+      const l = Math.max(0, pct(from)), r = Math.min(100, pct(to));
+      return (r <= 0 || l >= 100) ? '' : `<div class="wf-seg ${cls}" style="left:${l}%;width:${Math.max(0.15, r - l)}%" title="${title}"></div>`;
+    };
+    laneTrack.innerHTML = state.mainThread.map(t => {
+      const title = `${t.source === 'frame' ? 'Long animation frame' : 'Long task'} at ${ms(t.start)} ms · ${ms(t.duration)} ms (${ms(Math.max(0, t.duration - BLOCKING_THRESHOLD))} ms blocking)`;
+      const split = t.start + Math.min(t.duration, BLOCKING_THRESHOLD);
+      return block('task', t.start, split, title) + block('blocking', split, t.start + t.duration, title);
+    }).join('') + markersHtml();
+  }
+
+  function renderRows() {
+    state.frame = 0;
+    if (state.rows.length === 0) { rowsEl.innerHTML = '<div class="mono wf-empty">No resources to show</div>'; rowsEl.style.transform = ''; return; }
+    const top = viewport.scrollTop;
+    const first = Math.max(0, firstVisible(top) - WF_OVERSCAN);
+    let last = first;
+    while (last < state.rows.length && state.offsets[last] < top + viewport.clientHeight) last++;
+    last = Math.min(state.rows.length, last + WF_OVERSCAN);
+    rowsEl.style.transform = `translateY(${state.offsets[first]}px)`;
+    rowsEl.innerHTML = state.rows.slice(first, last).map(row => {
+      const open = state.expanded.has(row.idx);
+      return `<div class="wf-row${open ? ' open' : ''}${row.error ? ' failed' : ''}" data-idx="${row.idx}" tabindex="0">
+          <div class="wf-line">
+            <div class="wf-label mono" title="${esc(row.url)}">${esc(safeText(row.url, 90))} <span class="muted">${kb(row.transfer)} KB</span></div>
+            <div class="wf-track" title="start ${ms(row.start)} ms · duration ${ms(row.duration)} ms">${barHtml(row)}</div>
+          </div>
+          ${open ? waterfallDetail(row) : ''}
+        </div>`;
+    }).join('');
+  }
+
+  const schedule = () => { if (!state.frame) state.frame = requestAnimationFrame(renderRows); };
+
+  function setView(from, to) {
+    const minSpan = Math.min(1, state.maxEnd);
+    let span = Math.max(minSpan, Math.min(state.maxEnd, to - from));
+    from = Math.max(0, Math.min(from, state.maxEnd - span));
+    state.from = from;
+    state.to = from + span;
+    renderAxis();
+    renderRows();
+  }
+
+  function zoom(factor, pivotFrac = 0.5) {
+    const span = state.to - state.from;
+    const pivot = state.from + span * pivotFrac;
+    const next = span * factor;
+    setView(pivot - next * pivotFrac, pivot - next * pivotFrac + next);
+  }
+
+  function trackFraction(clientX) {
+    const box = axis.getBoundingClientRect();
+    return box.width ? Math.min(1, Math.max(0, (clientX - box.left) / box.width)) : 0.5;
+  }
+
+  viewport.addEventListener('scroll', schedule);
+
+  root.addEventListener('wheel', (e) => {
+    if (!e.target.closest('.wf-track, .wf-axis')) return;
+    if (e.ctrlKey || e.metaKey) {
+      e.preventDefault();
+      zoom(e.deltaY > 0 ? 1.25 : 0.8, trackFraction(e.clientX));
+    } else if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+      e.preventDefault();
+      const delta = (e.deltaX || e.deltaY) / (axis.clientWidth || 1) * (state.to - state.from);
+      setView(state.from + delta, state.to + delta);
+    }
+  }, { passive: false });
+
+  // drag on the timeline to pan
+  root.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || !e.target.closest('.wf-track, .wf-axis')) return;
+    const startX = e.clientX, from = state.from, to = state.to;
+    let moved = false;
+    const move = ev => {
+      const dx = (ev.clientX - startX) / (axis.clientWidth || 1) * (to - from);
+      if (Math.abs(ev.clientX - startX) > 3) moved = true;
+      if (moved) setView(from - dx, to - dx);
+    };
+    const up = () => {
+      window.removeEventListener('mousemove', move);
+      window.removeEventListener('mouseup', up);
+      if (!moved) return;
+      // swallow only the click this mouseup produces; a drag released outside the waterfall fires none
+      root.dataset.dragged = '1';
+      setTimeout(() => { delete root.dataset.dragged; }, 0);
+    };
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', up);
+  });
+
+  function toggle(rowEl) {
+    const idx = Number(rowEl.dataset.idx);
+    if (state.expanded.has(idx)) state.expanded.delete(idx); else state.expanded.add(idx);
+    layout();
+    renderRows();
+  }
+
+  root.addEventListener('click', (e) => {
+    const zoomBtn = e.target.closest('[data-zoom]');
+    if (zoomBtn) {
+      if (zoomBtn.dataset.zoom === 'in') zoom(0.5);
+      else if (zoomBtn.dataset.zoom === 'out') zoom(2);
+      else setView(0, state.maxEnd);
+      return;
+    }
+    if (root.dataset.dragged) { delete root.dataset.dragged; return; }
+    const line = e.target.closest('.wf-row > .wf-line');
+    if (line) toggle(line.parentElement);
+  });
+
+  root.addEventListener('keydown', (e) => {
+    const rowEl = e.target.closest('.wf-row');
+    if (rowEl && (e.key === 'Enter' || e.key === ' ')) { e.preventDefault(); toggle(rowEl); }
+  });
+
+  return {
+    // rows: resourceModel() entries, milestones: [{ key, label, t }], mainThread: [{ start, duration, source }]
+    render(rows, milestones = [], { mainThread = [] } = {}) {
+      state.rows = rows;
+      state.milestones = milestones;
+      state.mainThread = mainThread;
+      state.expanded = new Set();
+      state.maxEnd = Math.max(1, ...rows.map(r => r.start + r.duration), ...milestones.map(m => m.t), ...mainThread.map(t => t.start + t.duration));
+      layout();
+      viewport.scrollTop = 0;
+      setView(0, state.maxEnd);
+    },
+    clear() { this.render([], []); },
+  };
+}
+
+function reportMilestones(report) {
+  const nav = report.nav || {};
+  const fcpPaint = (report.paints || []).find(p => p.name === 'first-contentful-paint');
+  return [
+    { key: 'fcp', label: 'FCP', t: report.fcp || (fcpPaint && fcpPaint.startTime) },
+    { key: 'lcp', label: 'LCP', t: report.lcp },
+    { key: 'dcl', label: 'DCL', t: nav.domContentLoadedEventEnd },
+    { key: 'load', label: 'Load', t: nav.loadEventEnd },
+  ].filter(m => typeof m.t === 'number' && m.t > 0);
+}
+
+const mainWaterfall = createWaterfall(waterfallWrap);
+
+function buildWaterfall(report) {
+  const res = resourceModel(report).filter(x => !hideThirdPartiesEl.checked || x.firstParty).sort((a, b) => a.start - b.start);
+  const mt = report.mainThread || mainThreadBlocking(report);
+  mainWaterfall.render(res, reportMilestones(report), { mainThread: mt.tasks });
+}
+
+/* ---------- Initiator tree ---------- */
+// Resources nested under the document / stylesheet / script that requested them (external mode, Chrome HARs)
+function initiatorTree(report) {
+  const nav = report.nav || {};
+  const root = { url: nav.name || report.url || '', row: null, bytes: nav.name ? resourceBytes(nav) : 0, children: [] };
+  const nodes = resourceModel(report).map(row => ({ url: row.url, row, bytes: row.transfer, children: [] }));
+  const byUrl = new Map();
+  nodes.forEach(n => { if (!byUrl.has(n.url)) byUrl.set(n.url, n); });
+  nodes.forEach(n => {
+    let parent = n.row.initiator ? byUrl.get(n.row.initiator) : null;
+    for (let a = parent; a; a = a.parent) if (a === n) { parent = null; break; } // initiator cycles hang off the page
+    n.parent = parent || root;
+  });
+  nodes.forEach(n => n.parent.children.push(n));
+  subtreeTotals(root);
+  return { root, known: nodes.filter(n => n.row.initiator).length };
+}
+
+// sorts each node's children by start and sets n.subtree = { count, bytes } of everything below it;
+// returns the same totals including the node itself
+function subtreeTotals(n) {
+  n.children.sort((a, b) => a.row.start - b.row.start);
+  n.subtree = { count: 0, bytes: 0 };
+  n.children.forEach(c => {
+    const t = subtreeTotals(c);
+    n.subtree.count += t.count;
+    n.subtree.bytes += t.bytes;
+  });
+  return { count: n.subtree.count + 1, bytes: n.subtree.bytes + n.bytes };
+}
+
+function initiatorNodeHtml(n) {
+  const label = `<span class="it-type">${esc(n.row ? n.row.type : 'document')}</span> <span class="mono" title="${esc(n.url)}">${esc(safeText(n.url, 100))}</span> <span class="muted">${kb(n.bytes) || 0} KB</span>${n.row && n.row.error ? ' <span class="delta-bad">failed</span>' : ''}`;
+  if (!n.children.length) return `<li>${label}</li>`;
+  return `<li><details open><summary>${label} <span class="it-sub">→ ${n.subtree.count} requests · ${kb(n.subtree.bytes) || 0} KB</span></summary><ul>${n.children.map(initiatorNodeHtml).join('')}</ul></details></li>`;
+}
+
+function buildInitiatorTree(report) {
+  const { root, known } = initiatorTree(report);
+  if (!known) { initiatorCard.classList.add('hidden'); return; }
+  initiatorCard.classList.remove('hidden');
+  const inline = report.inline;
+  initiatorMetaEl.textContent = `${root.subtree.count} requests · ${known} with a recorded initiator` +
+    (inline ? ` · inline ${kb(inline.scriptBytes) || 0} KB script (${inline.scripts}), ${kb(inline.styleBytes) || 0} KB style (${inline.styles})` : '');
+  initiatorTreeEl.innerHTML = `<ul>${initiatorNodeHtml(root)}</ul>`;
+}
+
+/* ---------- Throttling simulation ---------- */
+// Replays the captured requests under another network: per-origin connection pools (HTTP/1.1 runs one
+// request per connection up to the limit, h2/h3 multiplex on one), a fair-shared downlink, and CPU-scaled
+// gaps between a request and the one that most likely discovered it (the last to finish before it started).
+// No TCP slow start or priorities — estimates for comparing profiles, not a lab measurement.
+const NETWORK_PROFILES = {
+  'slow-4g': { label: 'Slow 4G (mobile)', rtt: 150, down: 1600, up: 750, cpu: 4, conns: 6 },
+  '4g': { label: '4G', rtt: 70, down: 9000, up: 9000, cpu: 2, conns: 6 },
+  '3g': { label: '3G', rtt: 300, down: 1600, up: 768, cpu: 4, conns: 6 },
+  'slow-3g': { label: 'Slow 3G', rtt: 400, down: 400, up: 400, cpu: 4, conns: 6 },
+  'cable': { label: 'Cable (desktop)', rtt: 28, down: 5000, up: 1000, cpu: 1, conns: 6 },
+};
+const SIM_PROFILE_STORAGE_KEY = 'perflab.simProfile';
+const SIM_REQUEST_BYTES = 600; // request line + headers on the uplink
+const SIM_METRICS = [
+  { key: 'ttfb', label: 'TTFB (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+  { key: 'fcp', label: 'FCP (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+  { key: 'lcp', label: 'LCP (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+  { key: 'load', label: 'Load (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+  { key: 'tbt', label: 'TBT (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+];
+const simWaterfall = createWaterfall($('simWaterfallWrap'));
+
+function originOf(url) {
+  try { return new URL(url).origin; } catch (e) { return null; }
+}
+
+// TCP handshake time is the best RTT sample a timing entry has
+function observedRtt(r) {
+  if (!(r.connectStart > 0 && r.connectEnd > r.connectStart)) return 0;
+  return (r.secureConnectionStart > 0 ? r.secureConnectionStart : r.connectEnd) - r.connectStart;
+}
+
+// Nodes to replay: the document (root) plus every resource with its parent, discovery delay and server time
+function simulationGraph(report) {
+  const nav = report.nav || null;
+  const rows = resourceModel(report).filter(r => !r.error);
+  const root = {
+    url: report.url || '', origin: originOf(report.url || ''), protocol: (nav && nav.nextHopProtocol) || 'http/1.1',
+    bytes: nav ? resourceBytes(nav) : 0, obsStart: 0, obsEnd: nav ? (Number(nav.responseEnd) || Number(nav.responseStart) || 0) : 0,
+    raw: nav || {}, virtual: !nav, sim: {},
+  };
+  const nodes = rows.map(r => ({ url: r.url, origin: r.origin, protocol: r.protocol, bytes: r.transfer, obsStart: r.start, obsEnd: r.start + r.duration, raw: r.raw, row: r, sim: {} }));
+
+  const rtt = {};
+  [root].concat(nodes).forEach(n => {
+    const sample = observedRtt(n.raw);
+    if (sample > 0) rtt[n.origin] = Math.min(rtt[n.origin] || Infinity, sample);
+  });
+  [root].concat(nodes).forEach(n => {
+    const r = n.raw, originRtt = rtt[n.origin] || 0;
+    n.serverTime = (r.requestStart > 0 && r.responseStart >= r.requestStart)
+      ? Math.max(0, r.responseStart - r.requestStart - originRtt)
+      : Math.max(0, n.obsEnd - n.obsStart - originRtt); // no detail (cross-origin without Timing-Allow-Origin)
+  });
+
+  // parent = last node to finish before this one started; earlier in end order, so the graph has no cycles
+  const byEnd = nodes.slice().sort((a, b) => a.obsEnd - b.obsEnd);
+  byEnd.forEach((n, pos) => {
+    let lo = 0, hi = pos - 1, found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (byEnd[mid].obsEnd <= n.obsStart) { found = mid; lo = mid + 1; } else hi = mid - 1;
+    }
+    n.parent = found >= 0 ? byEnd[found] : root;
+    n.delay = Math.max(0, n.obsStart - n.parent.obsEnd);
+  });
+  return { root, nodes };
+}
+
+function simulate(report, profile) {
+  const { root, nodes } = simulationGraph(report);
+  const bytesPerMs = profile.down / 8;
+  const uploadMs = SIM_REQUEST_BYTES / (profile.up / 8);
+  const children = new Map();
+  nodes.forEach(n => { if (!children.has(n.parent)) children.set(n.parent, []); children.get(n.parent).push(n); });
+
+  const events = []; // [time, kind, node] sorted by time
+  const push = (time, kind, node) => {
+    let lo = 0, hi = events.length;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (events[mid][0] <= time) lo = mid + 1; else hi = mid; }
+    events.splice(lo, 0, [time, kind, node]);
+  };
+  const pools = new Map();
+  const pool = n => {
+    if (!pools.has(n.origin)) pools.set(n.origin, { multiplexed: /^h[23]/.test(n.protocol), conns: [], queue: [], resolved: false });
+    return pools.get(n.origin);
+  };
+
+  function startRequest(n, t, conn, fresh) {
+    let c = t;
+    if (fresh) {
+      const p = pool(n);
+      if (!p.resolved) { n.sim.dns = [c, c + profile.rtt]; c += profile.rtt; p.resolved = true; }
+      n.sim.connect = [c, c + profile.rtt]; c += profile.rtt;
+      if (n.url.startsWith('https:')) { n.sim.ssl = [c, c + profile.rtt]; c += profile.rtt; }
+      conn.readyAt = c;
+    } else {
+      c = Math.max(t, conn.readyAt); // an h2 connection may still be handshaking
+    }
+    n.sim.setupStart = t;
+    n.sim.requestStart = c;
+    push(c + uploadMs + profile.rtt + n.serverTime, 'response', n);
+  }
+
+  function acquire(n, t) {
+    const p = pool(n);
+    if (p.multiplexed) {
+      const fresh = !p.conns.length;
+      if (fresh) p.conns.push({ readyAt: 0 });
+      return startRequest(n, t, p.conns[0], fresh);
+    }
+    const idle = p.conns.find(c => c.idle);
+    if (idle) { idle.idle = false; n.conn = idle; return startRequest(n, t, idle, false); }
+    if (p.conns.length < profile.conns) {
+      n.conn = { idle: false, readyAt: 0 };
+      p.conns.push(n.conn);
+      return startRequest(n, t, n.conn, true);
+    }
+    p.queue.push(n);
+  }
+
+  function complete(n, t) {
+    n.sim.end = t;
+    if (n.conn) {
+      const p = pool(n);
+      const next = p.queue.shift();
+      if (next) { next.conn = n.conn; startRequest(next, t, n.conn, false); } else n.conn.idle = true;
+    }
+    (children.get(n) || []).forEach(ch => push(t + ch.delay * profile.cpu, 'ready', ch));
+  }
+
+  const active = new Set();
+  let t = 0;
+  push(0, 'ready', root);
+  while (events.length || active.size) {
+    const nextEvent = events.length ? events[0][0] : Infinity;
+    const share = active.size ? bytesPerMs / active.size : 0;
+    let first = null;
+    active.forEach(n => { if (!first || n.remaining < first.remaining) first = n; });
+    const finishAt = first ? t + first.remaining / share : Infinity;
+    const until = Math.min(nextEvent, finishAt);
+    active.forEach(n => { n.remaining -= share * (until - t); });
+    t = until;
+    if (first && finishAt <= nextEvent) {
+      first.remaining = 0;
+      active.forEach(n => { if (n.remaining <= 1e-6) { active.delete(n); complete(n, t); } });
+      continue;
+    }
+    const [, kind, n] = events.shift();
+    if (kind === 'ready') {
+      n.sim.ready = t;
+      if (n.virtual) complete(n, t); else acquire(n, t);
+    } else {
+      n.sim.responseStart = t;
+      if (n.bytes > 0) { n.remaining = n.bytes; active.add(n); } else complete(n, t);
+    }
+  }
+
+  const rows = nodes.map(n => {
+    const sm = n.sim;
+    const connStart = sm.dns ? sm.dns[0] : (sm.connect ? sm.connect[0] : sm.requestStart);
+    const phases = [
+      { key: 'queue', start: sm.ready, end: connStart },
+      sm.dns && { key: 'dns', start: sm.dns[0], end: sm.dns[1] },
+      sm.connect && { key: 'connect', start: sm.connect[0], end: sm.connect[1] },
+      sm.ssl && { key: 'ssl', start: sm.ssl[0], end: sm.ssl[1] },
+      { key: 'request', start: sm.requestStart, end: sm.responseStart },
+      { key: 'response', start: sm.responseStart, end: sm.end },
+    ].filter(p => p && p.end > p.start);
+    return Object.assign({}, n.row, { start: sm.ready, duration: sm.end - sm.ready, phases, durationStats: null });
+  });
+  return { root, nodes, rows, estimated: simulatedMetrics(report, profile, root, nodes), observed: observedMetrics(report, root, nodes) };
+}
 
-function setupObservers(collectLongTasks = true) {
-  // reset
-  lcp = null; cls = 0; fid = null; longTasks = [];
+// Paint/load milestones move with the resources they wait for; the CPU part after them scales with the profile
+function milestoneBases(report, root, nodes, end) {
+  const blocking = nodes.filter(n => n.row.blocking);
+  const base = Math.max(end(root), ...blocking.map(end));
+  const lcpUrl = report.lcpAttribution && report.lcpAttribution.url;
+  const lcpNode = lcpUrl ? nodes.find(n => n.url === lcpUrl) : null;
+  return { base, lcpBase: Math.max(base, lcpNode ? end(lcpNode) : 0), last: Math.max(end(root), ...nodes.map(end)) };
+}
 
-  if ('PerformanceObserver' in window) {
-    try {
-      lcpObserver = new PerformanceObserver(list => {
-        for (const e of list.getEntries()) {
-          lcp = e.startTime || e.renderTime || lcp;
-        }
-      });
-      lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
-    } catch (e) { /* ignore */ }
+function observedMetrics(report, root, nodes) {
+  const nav = report.nav || null;
+  const mt = report.mainThread || mainThreadBlocking(report);
+  const b = milestoneBases(report, root, nodes, n => n.obsEnd);
+  return {
+    ttfb: nav && nav.responseStart ? nav.responseStart : null,
+    fcp: report.fcp || null,
+    lcp: report.lcp || null,
+    load: (nav && nav.loadEventEnd) || b.last || null,
+    tbt: mt.tbt,
+  };
+}
 
-    try {
-      clsObserver = new PerformanceObserver(list => {
-        for (const entry of list.getEntries()) {
-          if (!entry.hadRecentInput) cls += entry.value;
-        }
-      });
-      clsObserver.observe({ type: 'layout-shift', buffered: true });
-    } catch (e) { /* ignore */ }
+function simulatedMetrics(report, profile, root, nodes) {
+  const nav = report.nav || null;
+  const obs = milestoneBases(report, root, nodes, n => n.obsEnd);
+  const sim = milestoneBases(report, root, nodes, n => n.sim.end);
+  const scaled = (observedAt, obsBase, simBase) => simBase + Math.max(0, observedAt - obsBase) * profile.cpu;
+  const fcp = report.fcp ? scaled(report.fcp, obs.base, sim.base) : null;
+  const lcp = report.lcp ? Math.max(fcp || 0, scaled(report.lcp, obs.lcpBase, sim.lcpBase)) : null;
+  const mt = report.mainThread || mainThreadBlocking(report);
+  const tbt = mt.tbt === null ? null : mt.tasks
+    .filter(t => t.start + t.duration > (report.fcp || 0) && t.start < (mt.tti || Infinity))
+    .reduce((sum, t) => sum + Math.max(0, t.duration * profile.cpu - BLOCKING_THRESHOLD), 0);
+  const round = v => (v === null || v === undefined) ? null : ms(v);
+  return {
+    ttfb: round(nav && !root.virtual ? root.sim.responseStart : null),
+    fcp: round(fcp),
+    lcp: round(lcp),
+    load: round(nav && nav.loadEventEnd ? scaled(nav.loadEventEnd, obs.last, sim.last) : (nodes.length ? sim.last : null)),
+    tbt: round(tbt),
+  };
+}
 
-    try {
-      fidObserver = new PerformanceObserver(list => {
-        for (const e of list.getEntries()) {
-          if (e.name === 'first-input') {
-            fid = (e.processingStart - e.startTime);
-          }
-        }
-      });
-      fidObserver.observe({ type: 'first-input', buffered: true });
-    } catch (e) { /* ignore */ }
+function simProfile() {
+  const p = {};
+  Object.keys(simInputs).forEach(k => { p[k] = Math.max(k === 'rtt' ? 0 : 0.1, Number(simInputs[k].value) || 0); });
+  p.conns = Math.max(1, Math.round(p.conns));
+  p.key = simProfileEl.value;
+  p.label = simProfileEl.value === 'custom' ? 'Custom' : NETWORK_PROFILES[simProfileEl.value].label;
+  return p;
+}
 
-    if (collectLongTasks) {
-      try {
-        longTaskObserver = new PerformanceObserver(list => {
-          for (const entry of list.getEntries()) {
-            longTasks.push({ name: entry.name || 'longtask', start: entry.startTime, duration: entry.duration });
-          }
-        });
-        longTaskObserver.observe({ type: 'longtask', buffered: true });
-      } catch (e) { /* ignore */ }
-    }
-  }
+function setSimInputs(profile) {
+  Object.keys(simInputs).forEach(k => { simInputs[k].value = profile[k]; });
 }
 
-/* ---------- Analysis (current page) ---------- */
-async function analyzeCurrent() {
-  setStatus('Collecting performance entries (current page)...');
-  setupObservers($('collectLongTasks').checked);
+function buildSimulation(report) {
+  simulationCard.classList.remove('hidden');
+  const profile = simProfile();
+  const sim = simulate(report, profile);
+  report.simulation = { profile, observed: sim.observed, estimated: sim.estimated };
+  simulationBody.innerHTML = SIM_METRICS.map(m => {
+    const o = sim.observed[m.key], e = sim.estimated[m.key];
+    const f = v => (v === null || v === undefined) ? '-' : m.fmt(v);
+    return `<tr><td>${m.label}</td><td>${f(o)}</td><td>${f(e)}</td>${deltaCell(m, o, e)}</tr>`;
+  }).join('');
+  const milestones = [
+    { key: 'fcp', label: 'FCP', t: sim.estimated.fcp },
+    { key: 'lcp', label: 'LCP', t: sim.estimated.lcp },
+    { key: 'load', label: 'Load', t: sim.estimated.load },
+  ].filter(m => typeof m.t === 'number' && m.t > 0);
+  simWaterfall.render(sim.rows.filter(x => !hideThirdPartiesEl.checked || x.firstParty).sort((a, b) => a.start - b.start), milestones);
+}
 
-  // small wait to collect paint/LCP
-  await new Promise(r => setTimeout(r, 200));
+simProfileEl.addEventListener('change', () => {
+  if (simProfileEl.value !== 'custom') setSimInputs(NETWORK_PROFILES[simProfileEl.value]);
+});
+Object.values(simInputs).forEach(el => el.addEventListener('input', () => { simProfileEl.value = 'custom'; }));
 
-  const navEntries = performance.getEntriesByType('navigation') || [];
-  const nav = navEntries.length ? navEntries[0].toJSON ? navEntries[0] : navEntries[0] : null;
-  const paints = performance.getEntriesByType('paint') || [];
-  const resources = performance.getEntriesByType('resource') || [];
+$('simulateBtn').addEventListener('click', () => {
+  localStorage.setItem(SIM_PROFILE_STORAGE_KEY, JSON.stringify(simProfile()));
+  if (!window.lastReport) { alert('No report yet'); return; }
+  buildSimulation(window.lastReport);
+  rawOut.textContent = JSON.stringify(window.lastReport, null, 2);
+  setStatus(`Simulated ${simProfile().label}`);
+});
 
-  // long tasks are already in longTasks
-  renderReport({
-    mode: 'current',
-    url: location.href,
-    title: document.title || '',
-    nav,
-    paints,
-    resources,
-    lcp,
-    cls,
-    fid,
-    longTasks,
+/* ---------- Resources table ---------- */
+function buildResourcesTable(report) {
+  resourcesTableBody.innerHTML = '';
+  const res = resourceModel(report).filter(x => !hideThirdPartiesEl.checked || x.firstParty).sort((a, b) => b.duration - a.duration);
+  const phase = v => v === null ? '-' : ms(v);
+
+  res.forEach((r, i) => {
+    const tr = document.createElement('tr');
+    tr.id = 'res-' + r.idx;
+    tr.innerHTML = `<td>${i+1}</td>
+      <td title="${esc(safeText(r.url, 400))}" class="mono">${esc(safeText(r.url, 80))}</td>
+      <td>${esc(r.type)}</td>
+      <td>${esc(r.protocol)}</td>
+      <td>${ms(r.start)}</td>
+      <td${r.durationStats ? ` title="median of ${ms(r.durationStats.n)} runs, min ${ms(r.durationStats.min)} / max ${ms(r.durationStats.max)} ms"` : ''}>${r.durationStats ? `${ms(r.durationStats.median)} <span class="muted">±${ms(r.durationStats.stddev)}</span>` : ms(r.duration)}</td>
+      <td>${r.transfer ? kb(r.transfer) : '-'}</td>
+      <td>${['dns', 'connect', 'ssl', 'request', 'response'].map(k => phase(r.timings[k])).join('/')}</td>`;
+    resourcesTableBody.appendChild(tr);
   });
 }
 
-/* ---------- Analysis (external URL) ---------- */
-async function analyzeExternal(url) {
-  if (!url) { alert('Enter external URL'); return; }
-  setStatus('Fetching external HTML via proxy (best-effort)...');
-  const proxy = 'https://api.allorigins.win/raw?url=';
-  const target = proxy + encodeURIComponent(url);
+/* budget editor */
+$('applyBudget').addEventListener('click', () => {
+  try { setBudget(JSON.parse(budgetInput.value)); setStatus('Budget applied'); } catch (e) { alert('Invalid budget: ' + (e.message || e)); }
+});
 
-  try {
-    const t0 = performance.now();
-    const resp = await fetch(target, { mode: 'cors' });
-    const t1 = performance.now();
-    if (!resp.ok) throw new Error('Proxy fetch failed: ' + resp.status);
-    const html = await resp.text();
-    const t2 = performance.now();
-
-    // parse HTML to find static resource URLs
-    const doc = new DOMParser().parseFromString(html, 'text/html');
-    const base = new URL(url).origin;
-    const tags = [];
-    doc.querySelectorAll('img[src], script[src], link[rel="stylesheet"][href]').forEach(el => {
-      const attr = el.tagName.toLowerCase() === 'link' ? el.getAttribute('href') : (el.getAttribute('src') || el.getAttribute('href'));
-      if (attr && !attr.trim().startsWith('data:')) {
-        try { tags.push(new URL(attr, base).href); } catch (e) { /* ignore */ }
-      }
-    });
+$('loadBudget').addEventListener('click', () => budgetFileInput.click());
+budgetFileInput.addEventListener('change', async () => {
+  const file = budgetFileInput.files[0];
+  if (!file) return;
+  try { setBudget(JSON.parse(await file.text())); setStatus(`Budget loaded from ${file.name}`); } catch (e) { alert('Invalid budget file: ' + (e.message || e)); }
+  budgetFileInput.value = '';
+});
 
-    // fetch resources via proxy (limited)
-    setStatus(`Fetching ${tags.length} resources via proxy (may be slow)...`);
-    const resources = [];
-    const limit = 6;
-    for (let i = 0; i < tags.length; i += limit) {
-      const chunk = tags.slice(i, i + limit);
-      const promises = chunk.map(async u => {
-        const t3 = performance.now();
-        try {
-          const r = await fetch(proxy + encodeURIComponent(u));
-          const t4 = performance.now();
-          if (!r.ok) throw new Error('failed');
-          const blob = await r.blob();
-          const size = blob.size;
-          return { name: u, startTime: ms(t3 - t0), duration: ms(t4 - t3), transferSize: size, nextHopProtocol: r.headers.get('x-proxy-protocol') || 'unknown' };
-        } catch (e) {
-          return { name: u, startTime: ms(performance.now() - t0), duration: '-', transferSize: null, error: true };
-        }
-      });
-      const res = await Promise.all(promises);
-      resources.push(...res);
-    }
+$('resetBudget').addEventListener('click', () => { setBudget(DEFAULT_BUDGET); setStatus('Budget reset to defaults'); });
 
-    // create pseudo-nav
-    const nav = { startTime: 0, responseStart: ms(t1 - t0), responseEnd: ms(t2 - t0), decodedBodySize: new TextEncoder().encode(html).length };
+/* ---------- Report history (IndexedDB) ---------- */
+const HISTORY_DB = 'perflab';
+const HISTORY_STORE = 'reports';
+let historyDbPromise = null;
 
-    renderReport({
-      mode: 'external',
-      url,
-      title: doc.querySelector('title') ? doc.querySelector('title').innerText : '',
-      nav,
-      paints: [],
-      resources,
-      lcp: null, cls: null, fid: null, longTasks: []
-    });
-  } catch (err) {
-    console.error(err);
-    alert('External analysis failed: ' + (err.message || err));
-    setStatus('External analysis failed');
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openHistoryDb() {
+  if (!('indexedDB' in window)) return Promise.reject(new Error('IndexedDB not available'));
+  if (!historyDbPromise) {
+    const req = indexedDB.open(HISTORY_DB, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('timestamp', 'timestamp');
+    };
+    historyDbPromise = idbRequest(req).catch(e => { historyDbPromise = null; throw e; });
   }
+  return historyDbPromise;
 }
 
-/* ---------- Rendering report & visuals ---------- */
-function renderReport(report) {
-  setStatus('Rendering report...');
-  // show main sections
-  summaryCard.classList.remove('hidden');
-  chartsCard.classList.remove('hidden');
-  waterfallCard.classList.remove('hidden');
-  resourcesCard.classList.remove('hidden');
-  rawCard.classList.remove('hidden');
+async function historyStore(mode = 'readonly') {
+  const db = await openHistoryDb();
+  return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
 
-  // Basic summary
-  summaryUrl.textContent = safeText(report.url, 160);
-  summaryReqs.textContent = (report.resources && report.resources.length) ? report.resources.length : 0;
-  // compute total bytes
-  let totalBytes = 0;
-  (report.resources || []).forEach(r => {
-    const size = r.transferSize || r.encodedBodySize || r.decodedBodySize || r.size || r.transfer || 0;
-    totalBytes += (size || 0);
-  });
-  summaryBytes.textContent = (totalBytes ? kb(totalBytes) + ' KB' : '-');
-  summaryTTFB.textContent = report.nav ? ms(report.nav.responseStart || report.nav.responseStart) : '-';
-  summaryLCP.textContent = report.lcp ? ms(report.lcp) : '-';
-  summaryCLS.textContent = (report.cls !== null && report.cls !== undefined) ? report.cls.toFixed ? report.cls.toFixed(3) : report.cls : '-';
-  summaryFID.textContent = report.fid ? ms(report.fid) : '-';
-  summaryLongTasks.textContent = (report.longTasks && report.longTasks.length) ? report.longTasks.length : 0;
+async function saveReportToHistory(report, summary) {
+  const record = {
+    url: report.url || '',
+    title: report.title || '',
+    mode: report.mode || '',
+    tag: reportTagInput.value.trim(),
+    timestamp: Date.now(),
+    summary,
+    // round-trip through JSON: PerformanceEntry objects can't be structured-cloned
+    report: JSON.parse(JSON.stringify(report)),
+  };
+  const store = await historyStore('readwrite');
+  record.id = await idbRequest(store.add(record));
+  return record;
+}
 
-  // Performance score (simple heuristic)
-  const score = computeScore({ nav: report.nav, lcp: report.lcp, cls: report.cls, fid: report.fid, totalBytes, reqs: (report.resources || []).length, longTasks: (report.longTasks || []).length });
-  perfScoreEl.textContent = Math.round(score);
-  perfScoreEl.style.background = score > 80 ? 'linear-gradient(90deg,#34d399,#60a5fa)' : (score > 50 ? 'linear-gradient(90deg,#f59e0b,#f97316)' : 'linear-gradient(90deg,#ef4444,#f43f5e)');
+async function listHistory() {
+  const store = await historyStore();
+  const all = await idbRequest(store.getAll());
+  return all.sort((a, b) => b.timestamp - a.timestamp);
+}
 
-  // Suggestions (heuristics)
-  const suggestions = [];
-  if ((report.resources || []).length > 60) suggestions.push(`High number of requests (${(report.resources || []).length}). Consider bundling and reducing 3rd-party scripts.`);
-  if (totalBytes > 1024 * 300) suggestions.push(`Large total transfer (${kb(totalBytes)} KB). Optimize images, enable gzip/brotli, and use caching.`);
-  if (report.lcp && report.lcp > 2500) suggestions.push(`LCP is ${ms(report.lcp)} ms — optimize hero content and server latency to reach < 2.5s.`);
-  if (report.cls && report.cls > 0.1) suggestions.push(`CLS is ${report.cls.toFixed(3)} — reserve image sizes and avoid layout shifts.`);
-  if ((report.longTasks || []).length > 0) suggestions.push(`${report.longTasks.length} long task(s) detected — break up heavy JS work, use web workers.`);
-  if (suggestions.length === 0) suggestions.push('No major heuristics flagged. Still consider compression, caching and lazy-loading.');
+async function getHistory(id) {
+  const store = await historyStore();
+  return idbRequest(store.get(id));
+}
 
-  suggestionsEl.innerHTML = '<ul>' + suggestions.map(s => `<li>${s}</li>`).join('') + '</ul>';
+async function deleteHistory(id) {
+  const store = await historyStore('readwrite');
+  return idbRequest(store.delete(id));
+}
 
-  // Charts: cumulative bytes timeline, top slow, type pie, protocol chart
-  buildCharts(report);
+async function clearHistory() {
+  const store = await historyStore('readwrite');
+  return idbRequest(store.clear());
+}
 
-  // Waterfall: render bars
-  buildWaterfall(report);
+function historyLabel(rec) {
+  return `${rec.tag ? rec.tag + ' · ' : ''}${new Date(rec.timestamp).toLocaleString()}`;
+}
 
-  // Resources table
-  buildResourcesTable(report);
+// stored summaries keep the metric values, so old reports re-score under the current profile
+function historyScore(rec) {
+  const score = rec.summary ? computeScore(rec.summary).score : null;
+  return score === null ? '-' : score;
+}
 
-  // raw JSON
-  rawOut.textContent = JSON.stringify(report, null, 2);
+async function refreshHistory() {
+  let records = [];
+  try { records = await listHistory(); } catch (e) { historyListEl.innerHTML = `<div class="muted">History unavailable: ${esc(e.message || e)}</div>`; return; }
+  if (records.length === 0) { historyListEl.innerHTML = '<div class="muted">No saved reports yet</div>'; return; }
+  historyListEl.innerHTML = records.map(rec => `<div class="history-item" data-id="${rec.id}">
+      <label><input type="checkbox" class="history-pick" value="${rec.id}"> <span class="mono" title="${esc(rec.url)}">${esc(safeText(rec.url, 40))}</span></label>
+      <div class="history-meta">${esc(historyLabel(rec))} · score ${historyScore(rec)}</div>
+      <div class="history-actions">
+        <button class="ghost small" data-action="open">Open</button>
+        <button class="ghost small" data-action="delete">Delete</button>
+      </div>
+    </div>`).join('');
+}
 
-  // store lastReport for export
-  window.lastReport = report;
+historyListEl.addEventListener('click', async (e) => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const id = Number(btn.closest('.history-item').dataset.id);
+  try {
+    if (btn.dataset.action === 'open') {
+      const rec = await getHistory(id);
+      if (!rec) { alert('Report not found'); return; }
+      compareCard.classList.add('hidden');
+      renderReport(rec.report, { save: false });
+    } else if (btn.dataset.action === 'delete') {
+      await deleteHistory(id);
+      await refreshHistory();
+    }
+  } catch (err) { console.error(err); alert('History error: ' + (err.message || err)); }
+});
 
-  setStatus('Done');
+clearHistoryBtn.addEventListener('click', async () => {
+  if (!confirm('Delete all saved reports?')) return;
+  try { await clearHistory(); await refreshHistory(); } catch (err) { console.error(err); alert('History error: ' + (err.message || err)); }
+});
+
+/* ---------- Report comparison ---------- */
+const COMPARE_METRICS = [
+  { key: 'ttfb', label: 'TTFB (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+  { key: 'fcp', label: 'FCP (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+  { key: 'lcp', label: 'LCP (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+  { key: 'cls', label: 'CLS', lowerIsBetter: true, fmt: v => v.toFixed(3) },
+  { key: 'inp', label: 'INP (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+  { key: 'tbt', label: 'TBT (ms)', lowerIsBetter: true, fmt: v => ms(v) },
+  { key: 'totalBytes', label: 'Total Transfer (KB)', lowerIsBetter: true, fmt: v => kb(v) || 0 },
+  { key: 'requests', label: 'Requests', lowerIsBetter: true, fmt: v => v },
+  { key: 'score', label: 'Score', lowerIsBetter: false, fmt: v => Math.round(v) },
+];
+
+// Diff resources by URL: added / removed / changed in size (bytes summed per URL)
+function diffResources(before, after) {
+  const bytesByUrl = rows => rows.reduce((m, r) => m.set(r.url, (m.get(r.url) || 0) + r.transfer), new Map());
+  const a = bytesByUrl(resourceModel(before));
+  const b = bytesByUrl(resourceModel(after));
+  const added = [], removed = [], changed = [];
+  b.forEach((bytes, url) => { if (!a.has(url)) added.push({ url, bytes }); });
+  a.forEach((bytes, url) => {
+    if (!b.has(url)) removed.push({ url, bytes });
+    else if (b.get(url) !== bytes) changed.push({ url, before: bytes, after: b.get(url), delta: b.get(url) - bytes });
+  });
+  changed.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+  return { added, removed, changed };
 }
 
-/* ---------- Score calculation ---------- */
-function computeScore({ nav, lcp, cls, fid, totalBytes, reqs, longTasks }) {
-  // start 100 and subtract weighted penalties
-  let s = 100;
-  if (lcp) s -= Math.max(0, (lcp - 2500) / 50); // heavy penalty after 2.5s
-  if (cls) s -= Math.min(30, cls * 100);
-  if (fid) s -= Math.min(20, fid / 50);
-  if (reqs) s -= Math.min(25, (reqs - 20) / 2);
-  if (totalBytes) s -= Math.min(30, totalBytes / (1024 * 50)); // each 50KB reduces score
-  if (longTasks) s -= Math.min(30, longTasks * 5);
-  s = Math.max(10, Math.round(s));
-  return s;
+function deltaCell(m, before, after) {
+  if (before === null || before === undefined || after === null || after === undefined) return '<td>-</td><td>-</td>';
+  const d = after - before;
+  const pct = before ? Math.round(d / before * 1000) / 10 + '%' : '-';
+  const better = m.lowerIsBetter ? d < 0 : d > 0;
+  const cls = d === 0 ? '' : (better ? 'delta-good' : 'delta-bad');
+  return `<td class="${cls}">${d > 0 ? '+' : ''}${m.key === 'totalBytes' ? Math.round(d / 1024 * 100) / 100 : m.fmt(d)}</td><td class="${cls}">${pct}</td>`;
 }
 
-/* ---------- Charts using Chart.js ---------- */
-function buildCharts(report) {
-  // prepare resource rows (normalize)
-  const res = (report.resources || []).map((r, idx) => {
-    // handle PerformanceResourceTiming entries or proxy results
-    if (r && r.name) r.url = r.name;
-    const url = r.name || r.url || r.name || r.resource || r.url || '';
-    const duration = Number(r.duration || r.responseEnd - r.startTime || r.duration || 0) || 0;
-    const start = Number(r.startTime || 0) || 0;
-    const transfer = Number(r.transferSize || r.encodedBodySize || r.decodedBodySize || r.size || r.transfer || 0) || 0;
-    const type = r.initiatorType || (url.match(/\.(js|css|png|jpg|jpeg|svg|webp|gif)/i) ? (url.match(/\.js/i) ? 'script' : (url.match(/\.css/i) ? 'css' : 'image')) : (r.type || 'other'));
-    const protocol = r.nextHopProtocol || r.nextHopProtocol || (r.protocol || 'unknown');
-    return { idx, url, duration, start, transfer, type, protocol, r };
-  });
+let lastComparison = null;
 
-  // cumulative bytes over time (bucketed)
-  const sortedByStart = [...res].sort((a, b) => a.start - b.start);
-  const buckets = [];
-  let acc = 0;
-  let lastT = 0;
-  sortedByStart.forEach(x => {
-    const t = Math.round(x.start);
-    if (t - lastT > 200) {
-      buckets.push({ t: lastT, v: acc });
-      lastT = t;
-    }
-    acc += x.transfer;
-    buckets.push({ t, v: acc });
-    lastT = t;
-  });
-  // ensure at least one point
-  if (buckets.length === 0) buckets.push({ t: 0, v: 0 });
+function renderComparison(before, after) {
+  const sa = summarizeReport(before.report);
+  const sb = summarizeReport(after.report);
+  lastComparison = [before, after];
+  compareCard.classList.remove('hidden');
+  compareTitle.textContent = `${historyLabel(before)} → ${historyLabel(after)} · scored with the ${currentScoreProfile.name} profile`;
 
-  // Cumulative Bytes Chart
-  const cumLabels = buckets.map(b => b.t);
-  const cumData = buckets.map(b => Math.round(b.v / 1024 * 100) / 100); // KB
-  if (charts.cum) charts.cum.destroy();
-  charts.cum = new Chart(cumBytesCanvas, {
+  compareMetricsBody.innerHTML = COMPARE_METRICS.map(m => {
+    const va = sa[m.key], vb = sb[m.key];
+    const f = v => (v === null || v === undefined) ? '-' : m.fmt(v);
+    return `<tr><td>${m.label}</td><td>${f(va)}</td><td>${f(vb)}</td>${deltaCell(m, va, vb)}</tr>`;
+  }).join('');
+
+  const diff = diffResources(before.report, after.report);
+  const list = (title, items, fmt) => `<details ${items.length ? 'open' : ''}><summary>${title} (${items.length})</summary>` +
+    (items.length ? '<ul>' + items.map(x => `<li><span class="mono" title="${esc(x.url)}">${esc(safeText(x.url, 90))}</span> — ${fmt(x)}</li>`).join('') + '</ul>' : '') + '</details>';
+  compareResourcesEl.innerHTML =
+    list('Added', diff.added, x => `${kb(x.bytes)} KB`) +
+    list('Removed', diff.removed, x => `${kb(x.bytes)} KB`) +
+    list('Changed size', diff.changed, x => `${kb(x.before)} → ${kb(x.after)} KB (<span class="${x.delta < 0 ? 'delta-good' : 'delta-bad'}">${x.delta > 0 ? '+' : ''}${Math.round(x.delta / 1024 * 100) / 100} KB</span>)`);
+
+  // overlaid cumulative transfer
+  const rowsA = resourceModel(before.report), rowsB = resourceModel(after.report);
+  const points = rows => cumulativeBytes(rows).map(p => ({ x: p.t, y: Math.round(p.v / 1024 * 100) / 100 }));
+  if (charts.compareCum) charts.compareCum.destroy();
+  charts.compareCum = new Chart(compareCumCanvas, {
     type: 'line',
-    data: { labels: cumLabels, datasets: [{ label: 'Cumulative KB', data: cumData, fill: true }]},
-    options: { plugins: { legend: { display: false } }, scales: { x: { title: { display: true, text: 'Start time (ms)' } }, y: { title: { display: true, text: 'KB' } } } }
+    data: { datasets: [
+      { label: 'Before', data: points(rowsA), borderDash: [6, 4] },
+      { label: 'After', data: points(rowsB) },
+    ]},
+    options: { parsing: true, scales: { x: { type: 'linear', title: { display: true, text: 'Start time (ms)' } }, y: { title: { display: true, text: 'KB' } } } }
   });
 
-  // Top slow resources
-  const topSlow = [...res].sort((a, b) => b.duration - a.duration).slice(0, 8);
-  if (charts.topSlow) charts.topSlow.destroy();
-  charts.topSlow = new Chart(topSlowCanvas, {
+  // bytes per resource type, side by side
+  const bytesByType = rows => rows.reduce((m, r) => { m[r.type] = (m[r.type] || 0) + r.transfer; return m; }, {});
+  const ta = bytesByType(rowsA), tb = bytesByType(rowsB);
+  const types = Array.from(new Set([...Object.keys(ta), ...Object.keys(tb)]));
+  if (charts.compareType) charts.compareType.destroy();
+  charts.compareType = new Chart(compareTypeCanvas, {
     type: 'bar',
-    data: { labels: topSlow.map(r => safeText(r.url, 40)), datasets: [{ label: 'Duration ms', data: topSlow.map(r => ms(r.duration)) }]},
-    options: { indexAxis: 'y', plugins: { legend: { display: false } }, scales: { x: { title: { display: true, text: 'ms' } } } }
+    data: { labels: types, datasets: [
+      { label: 'Before', data: types.map(t => kb(ta[t] || 0) || 0) },
+      { label: 'After', data: types.map(t => kb(tb[t] || 0) || 0) },
+    ]},
+    options: { scales: { y: { title: { display: true, text: 'KB' } } } }
   });
 
-  // Type distribution
-  const typeCounts = {};
-  res.forEach(r => typeCounts[r.type] = (typeCounts[r.type] || 0) + 1);
-  const tLabels = Object.keys(typeCounts);
-  const tData = tLabels.map(k => typeCounts[k]);
-  if (charts.typePie) charts.typePie.destroy();
-  charts.typePie = new Chart(typePieCanvas, {
-    type: 'pie',
-    data: { labels: tLabels, datasets: [{ data: tData }]},
-    options: { plugins: { legend: { position: 'right' } } }
-  });
+  compareCard.scrollIntoView({ behavior: 'smooth' });
+}
 
-  // Protocols
-  const protoCounts = {};
-  res.forEach(r => protoCounts[r.protocol || 'unknown'] = (protoCounts[r.protocol || 'unknown'] || 0) + 1);
-  const pLabels = Object.keys(protoCounts);
-  const pData = pLabels.map(k => protoCounts[k]);
-  if (charts.proto) charts.proto.destroy();
-  charts.proto = new Chart(protocolCanvas, {
-    type: 'doughnut',
-    data: { labels: pLabels, datasets: [{ data: pData }]},
-    options: { plugins: { legend: { position: 'right' } } }
+compareBtn.addEventListener('click', async () => {
+  const ids = Array.from(historyListEl.querySelectorAll('.history-pick:checked')).map(cb => Number(cb.value));
+  if (ids.length !== 2) { alert('Select exactly two saved reports to compare'); return; }
+  try {
+    const recs = await Promise.all(ids.map(getHistory));
+    if (recs.some(r => !r)) { alert('Report not found'); return; }
+    recs.sort((a, b) => a.timestamp - b.timestamp); // older one is "before"
+    renderComparison(recs[0], recs[1]);
+  } catch (err) { console.error(err); alert('Compare failed: ' + (err.message || err)); }
+});
+
+/* ---------- Field data (RUM) ---------- */
+const DEFAULT_RUM_URL = 'http://localhost:8788';
+const RUM_STORAGE_KEY = 'perflab.rumUrl';
+const FIELD_METRICS = [
+  { key: 'lcp', label: 'LCP', unit: 'ms', good: 2500, poor: 4000, fmt: v => ms(v) },
+  { key: 'cls', label: 'CLS', unit: '', good: 0.1, poor: 0.25, fmt: v => v.toFixed(3) },
+  { key: 'inp', label: 'INP', unit: 'ms', good: INP_GOOD, poor: 500, fmt: v => ms(v) },
+  { key: 'ttfb', label: 'TTFB', unit: 'ms', good: TTFB_GOOD, poor: 1800, fmt: v => ms(v) },
+];
+const FIELD_PERCENTILES = [50, 75, 95];
+const FIELD_GROUPS = { path: 'URL path', device: 'Device', connection: 'Connection' };
+const HISTOGRAM_BINS = 20; // over 0..2x the "poor" threshold, the last bin collects the rest
+let fieldBeacons = [];
+let fieldSelection = null; // group value the histograms are limited to
+
+// p-th percentile (0-100) of ascending values, linear interpolation between ranks
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(rank), hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+const metricValues = (beacons, key) => beacons.map(b => b[key]).filter(v => typeof v === 'number' && isFinite(v)).sort((a, b) => a - b);
+const rating = (m, v) => v <= m.good ? 'good' : (v <= m.poor ? 'ni' : 'poor');
+
+function fieldStats(beacons) {
+  const out = { count: beacons.length };
+  FIELD_METRICS.forEach(m => {
+    const values = metricValues(beacons, m.key);
+    out[m.key] = { n: values.length };
+    FIELD_PERCENTILES.forEach(p => { out[m.key]['p' + p] = percentile(values, p); });
   });
+  return out;
 }
 
-/* ---------- Waterfall rendering (simple CSS bars) ---------- */
-function buildWaterfall(report) {
-  waterfallWrap.innerHTML = '';
-  const res = (report.resources || []).map((r, idx) => {
-    if (r && r.name) r.url = r.name;
-    const url = r.name || r.url || '';
-    const start = Number(r.startTime || 0) || 0;
-    const dur = Number(r.duration || r.responseEnd - r.startTime || 0) || 0;
-    const transfer = Number(r.transferSize || r.encodedBodySize || r.decodedBodySize || r.size || 0) || 0;
-    return { idx, url, start, dur, transfer, raw: r };
-  }).sort((a, b) => a.start - b.start);
-
-  if (res.length === 0) {
-    waterfallWrap.innerHTML = '<div class="mono">No resources to show</div>';
-    return;
+function histogram(values, m) {
+  const max = m.poor * 2, width = max / HISTOGRAM_BINS;
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+  values.forEach(v => { counts[Math.min(HISTOGRAM_BINS - 1, Math.floor(v / width))]++; });
+  const labels = counts.map((_, i) => i === HISTOGRAM_BINS - 1 ? `≥${m.fmt(i * width)}` : m.fmt(i * width));
+  const colors = counts.map((_, i) => ({ good: '#34d399', ni: '#f59e0b', poor: '#ef4444' })[rating(m, (i + 0.5) * width)]);
+  return { labels, counts, colors };
+}
+
+// collector /data response, a JSON array, or the collector's NDJSON file
+function parseFieldData(text) {
+  let beacons;
+  try {
+    const data = JSON.parse(text);
+    beacons = Array.isArray(data) ? data : (data && Array.isArray(data.beacons) ? data.beacons : [data]);
+  } catch (e) {
+    beacons = text.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
   }
+  return beacons.filter(b => b && typeof b === 'object' && typeof b.path === 'string');
+}
 
-  const maxEnd = Math.max(...res.map(r => r.start + r.dur), 1);
-  const containerWidth = 900; // virtual scale
-  res.forEach((r, i) => {
-    const wrapper = document.createElement('div');
-    wrapper.className = 'wf-item';
-    const left = document.createElement('div');
-    left.style.width = '42%';
-    left.innerHTML = `<div class="mono">${safeText(r.url, 80)}</div><div style="color:var(--muted);font-size:12px">${kb(r.transfer)} KB</div>`;
-    const right = document.createElement('div');
-    right.style.width = '58%';
-    const barWrap = document.createElement('div');
-    barWrap.style.position = 'relative';
-    barWrap.style.height = '28px';
-    barWrap.style.background = 'rgba(255,255,255,0.01)';
-    barWrap.style.borderRadius = '6px';
-    barWrap.style.overflow = 'hidden';
-    const bar = document.createElement('div');
-    const leftPct = (r.start / maxEnd) * 100;
-    const widthPct = (r.dur / maxEnd) * 100;
-    bar.className = 'wf-bar';
-    bar.style.position = 'absolute';
-    bar.style.left = leftPct + '%';
-    bar.style.width = Math.max(0.2, widthPct) + '%';
-    bar.title = `start: ${ms(r.start)} ms\nduration: ${ms(r.dur)} ms`;
-    barWrap.appendChild(bar);
-    right.appendChild(barWrap);
-    wrapper.appendChild(left);
-    wrapper.appendChild(right);
-    waterfallWrap.appendChild(wrapper);
+function fieldGroups(key) {
+  const groups = new Map();
+  fieldBeacons.forEach(b => {
+    const value = b[key] || 'unknown';
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(b);
   });
+  return Array.from(groups.entries()).map(([value, beacons]) => ({ value, stats: fieldStats(beacons) })).sort((a, b) => b.stats.count - a.stats.count);
 }
 
-/* ---------- Resources table ---------- */
-function buildResourcesTable(report) {
-  resourcesTableBody.innerHTML = '';
-  const res = (report.resources || []).map((r, idx) => {
-    if (r && r.name) r.url = r.name;
-    const url = r.name || r.url || '';
-    const dur = Number(r.duration || r.responseEnd - r.startTime || 0) || 0;
-    const start = Number(r.startTime || 0) || 0;
-    const transfer = Number(r.transferSize || r.encodedBodySize || r.decodedBodySize || r.size || 0) || 0;
-    const protocol = r.nextHopProtocol || r.protocol || r.rtt || 'unknown';
-    // DNS/TCP/SSL/Req/Res breakdown if available (PerformanceResourceTiming)
-    let detail = '-';
-    if (r.domainLookupStart !== undefined) {
-      const dns = (r.domainLookupEnd - r.domainLookupStart) || 0;
-      const tcp = (r.connectEnd - r.connectStart) || 0;
-      const ssl = (r.secureConnectionStart > 0) ? (r.connectEnd - r.secureConnectionStart) : 0;
-      const req = (r.responseStart - r.requestStart) || 0;
-      const resTime = (r.responseEnd - r.responseStart) || 0;
-      detail = `${ms(dns)}/${ms(tcp)}/${ms(ssl)}/${ms(req)}/${ms(resTime)}`;
-    }
-    return { url, type: r.initiatorType || '-', protocol, start, dur, transfer, detail };
-  }).sort((a, b) => b.dur - a.dur);
+function renderFieldData() {
+  fieldCard.classList.remove('hidden');
+  const times = fieldBeacons.map(b => b.ts).filter(Boolean).sort((a, b) => a - b);
+  fieldMetaEl.textContent = `${fieldBeacons.length} page views` + (times.length ? ` · ${new Date(times[0]).toLocaleString()} – ${new Date(times[times.length - 1]).toLocaleString()}` : '');
 
-  res.forEach((r, i) => {
-    const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${i+1}</td>
-      <td title="${safeText(r.url, 400)}" class="mono">${safeText(r.url, 80)}</td>
-      <td>${r.type}</td>
-      <td>${r.protocol}</td>
-      <td>${ms(r.start)}</td>
-      <td>${ms(r.dur)}</td>
-      <td>${r.transfer ? kb(r.transfer) : '-'}</td>
-      <td>${r.detail}</td>`;
-    resourcesTableBody.appendChild(tr);
+  const key = fieldGroupEl.value;
+  const cell = (m, v) => v === null ? '<td>-</td>' : `<td class="field-${rating(m, v)}">${m.fmt(v)}</td>`;
+  const row = (label, value, stats) => `<tr class="field-row${fieldSelection === value ? ' selected' : ''}" data-value="${esc(value === null ? '' : value)}">
+      <td class="mono" title="${esc(label)}">${esc(safeText(label, 60))}</td><td>${stats.count}</td>
+      ${FIELD_METRICS.map(m => FIELD_PERCENTILES.map(p => cell(m, stats[m.key]['p' + p])).join('')).join('')}
+    </tr>`;
+  fieldTableEl.querySelector('thead').innerHTML = `<tr><th rowspan="2">${FIELD_GROUPS[key]}</th><th rowspan="2">Views</th>${FIELD_METRICS.map(m => `<th colspan="${FIELD_PERCENTILES.length}">${m.label}${m.unit ? ` (${m.unit})` : ''}</th>`).join('')}</tr>
+    <tr>${FIELD_METRICS.map(() => FIELD_PERCENTILES.map(p => `<th>p${p}</th>`).join('')).join('')}</tr>`;
+  fieldTableEl.querySelector('tbody').innerHTML = row('All page views', null, fieldStats(fieldBeacons)) +
+    fieldGroups(key).map(g => row(g.value, g.value, g.stats)).join('');
+
+  const selected = fieldSelection === null ? fieldBeacons : fieldBeacons.filter(b => (b[key] || 'unknown') === fieldSelection);
+  fieldHistTitleEl.textContent = `Distribution — ${fieldSelection === null ? 'all page views' : `${FIELD_GROUPS[key]}: ${fieldSelection}`}`;
+  FIELD_METRICS.forEach(m => {
+    const values = metricValues(selected, m.key);
+    const h = histogram(values, m);
+    const id = 'field_' + m.key;
+    if (charts[id]) charts[id].destroy();
+    charts[id] = new Chart($('fieldHist-' + m.key), {
+      type: 'bar',
+      data: { labels: h.labels, datasets: [{ label: 'Page views', data: h.counts, backgroundColor: h.colors }]},
+      options: { plugins: { legend: { display: false }, title: { display: true, text: `${m.label} (${values.length} views)` } }, scales: { x: { title: { display: !!m.unit, text: m.unit } } } }
+    });
   });
 }
 
+function showFieldData(beacons, source) {
+  if (!beacons.length) { alert(`No RUM beacons found in ${source}`); setStatus('No field data'); return; }
+  fieldBeacons = beacons;
+  fieldSelection = null;
+  renderFieldData();
+  fieldCard.scrollIntoView({ behavior: 'smooth' });
+  setStatus(`Loaded ${beacons.length} page views from ${source}`);
+}
+
+$('loadFieldData').addEventListener('click', async () => {
+  const base = (rumUrlInput.value.trim() || DEFAULT_RUM_URL).replace(/\/+$/, '');
+  localStorage.setItem(RUM_STORAGE_KEY, base);
+  setStatus('Loading field data...');
+  try {
+    const res = await fetch(base + '/data');
+    if (!res.ok) throw new Error(`RUM collector returned ${res.status}`);
+    showFieldData(parseFieldData(await res.text()), base);
+  } catch (err) {
+    console.error(err);
+    alert(`Could not load field data from ${base} — start the collector with "node server/rum-collector.js --allow-origin ${location.origin}" so this page may read it (${err.message || err})`);
+    setStatus('Field data failed');
+  }
+});
+
+$('loadFieldFile').addEventListener('click', () => fieldFileInput.click());
+fieldFileInput.addEventListener('change', async () => {
+  const file = fieldFileInput.files[0];
+  if (!file) return;
+  try { showFieldData(parseFieldData(await file.text()), file.name); } catch (e) { alert('Invalid field data file: ' + (e.message || e)); }
+  fieldFileInput.value = '';
+});
+
+fieldGroupEl.addEventListener('change', () => { fieldSelection = null; renderFieldData(); });
+
+fieldTableEl.addEventListener('click', (e) => {
+  const tr = e.target.closest('tr.field-row');
+  if (!tr) return;
+  fieldSelection = tr.dataset.value === '' ? null : tr.dataset.value;
+  renderFieldData();
+});
+
 /* ---------- Export functions ---------- */
 exportJsonBtn.addEventListener('click', () => {
   if (!window.lastReport) { alert('No report yet'); return; }
@@ -453,35 +3765,348 @@ exportJsonBtn.addEventListener('click', () => {
   downloadBlob('perf-report.json', blob);
 });
 
+exportHarBtn.addEventListener('click', () => {
+  if (!window.lastReport) { alert('No report yet'); return; }
+  const blob = new Blob([JSON.stringify(reportToHar(window.lastReport), null, 2)], { type: 'application/json' });
+  downloadBlob('perf-report.har', blob);
+});
+
+// RFC 4180: CRLF line breaks, fields with commas, quotes or line breaks are quoted, quotes doubled
+function csvField(v) {
+  const str = (v === null || v === undefined) ? '' : String(v);
+  return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+const CSV_COLUMNS = [
+  ['#', r => r.idx + 1],
+  ['URL', r => r.url],
+  ['Type', r => r.type],
+  ['Initiator', r => r.initiatorType],
+  ['Initiator_URL', r => r.initiator],
+  ['MIME', r => r.mime],
+  ['Method', r => r.method],
+  ['Status', r => r.status],
+  ['Protocol', r => r.protocol],
+  ['Party', r => r.firstParty ? 'first' : 'third'],
+  ['Entity', r => r.entity],
+  ['Origin', r => r.origin],
+  ['Start_ms', r => ms(r.start)],
+  ['Duration_ms', r => ms(r.duration)],
+  ...['median', 'min', 'max', 'stddev'].map(k => ['Duration_' + k + '_ms', r => r.durationStats ? ms(r.durationStats[k]) : '']),
+  ...RESOURCE_PHASES.map(p => [p.label.replace(/\s/g, '_') + '_ms', r => r.timings[p.key] === null ? '' : ms(r.timings[p.key])]),
+  ['Transfer_bytes', r => r.transfer],
+  ['Encoded_bytes', r => r.encoded],
+  ['Decoded_bytes', r => r.decoded],
+  ['Content_Encoding', r => r.headers['content-encoding']],
+  ['Cache_Control', r => r.headers['cache-control']],
+  ['Cache_TTL_s', r => r.hasHeaders ? cacheTtl(r.headers) : ''],
+  ['Expires', r => r.headers.expires],
+  ['Vary', r => r.headers.vary],
+  ['Cache_Hit', r => r.cacheHit ? 'yes' : ''],
+  ['ETag', r => r.headers.etag],
+  ['Last_Modified', r => r.headers['last-modified']],
+  ['Render_Blocking', r => r.blocking ? 'yes' : 'no'],
+  ['Error', r => r.error],
+];
+
+function reportToCsv(report) {
+  const lines = [CSV_COLUMNS.map(c => csvField(c[0])).join(',')];
+  resourceModel(report).forEach(r => lines.push(CSV_COLUMNS.map(c => csvField(c[1](r))).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
 exportCsvBtn.addEventListener('click', () => {
   if (!window.lastReport) { alert('No report yet'); return; }
-  const rows = ['#,URL,Type,Protocol,Start_ms,Duration_ms,Size_bytes,Detail'];
-  (window.lastReport.resources || []).forEach((r, i) => {
-    const url = (r.name || r.url || '').replace(/,/g, ' ');
-    const type = r.initiatorType || '-';
-    const proto = r.nextHopProtocol || r.protocol || '-';
-    const start = ms(r.startTime || 0);
-    const dur = ms(r.duration || 0);
-    const size = r.transferSize || r.encodedBodySize || r.decodedBodySize || r.size || 0;
-    const detail = '-';
-    rows.push(`${i+1},${url},${type},${proto},${start},${dur},${size},${detail}`);
-  });
-  const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
+  const blob = new Blob([reportToCsv(window.lastReport)], { type: 'text/csv' });
   downloadBlob('resources.csv', blob);
 });
 
+/* ---------- Offline HTML report ---------- */
+// Light, print-friendly styles; the file must not depend on style.css or any CDN
+const REPORT_CSS = `
+body{font:14px/1.5 system-ui,-apple-system,"Segoe UI",Roboto,Arial,sans-serif;color:#111827;background:#fff;max-width:1040px;margin:0 auto;padding:24px}
+h1{font-size:22px;margin:0}h2{font-size:16px;margin:28px 0 8px;padding-bottom:4px;border-bottom:1px solid #e5e7eb}
+a{color:#2563eb}.muted{color:#6b7280;font-size:12px}.mono,code{font-family:ui-monospace,Menlo,Consolas,monospace;font-size:12px}
+.score{display:inline-block;min-width:56px;text-align:center;font-size:28px;font-weight:700;color:#fff;padding:4px 14px;border-radius:10px;margin:8px 0}
+table{width:100%;border-collapse:collapse;font-size:13px}th,td{text-align:left;padding:4px 8px;border-bottom:1px solid #e5e7eb;vertical-align:top}th{color:#6b7280;font-weight:600}
+.pass{color:#059669}.fail{color:#dc2626}.na{color:#6b7280}
+.audit{margin:8px 0;padding:8px 12px;background:#f9fafb;border-left:4px solid #9ca3af}
+.audit.sev-high{border-color:#dc2626}.audit.sev-medium{border-color:#d97706}.audit.sev-low{border-color:#2563eb}
+.audit .sev{font-size:11px;text-transform:uppercase;color:#6b7280;margin-right:6px}.audit ul{margin:6px 0 0;padding-left:18px;font-size:12px;word-break:break-all}
+.charts{display:grid;grid-template-columns:1fr 1fr;gap:16px}figure{margin:0}figure img{width:100%;height:auto}figcaption{text-align:center;font-size:12px;color:#6b7280}
+.waterfall svg{width:100%;height:auto;display:block}
+section,.audit,figure,tr{break-inside:avoid;page-break-inside:avoid}
+@page{margin:14mm}
+@media print{body{max-width:none;padding:0}h2{break-after:avoid;page-break-after:avoid}.waterfall{break-inside:auto;page-break-inside:auto}}
+`;
+const REPORT_PHASE_COLORS = { queue: '#94a3b8', dns: '#14b8a6', connect: '#f59e0b', ssl: '#ec4899', request: '#3b82f6', response: '#8b5cf6', total: '#14b8a6' };
+const REPORT_MILESTONE_COLORS = { fcp: '#059669', lcp: '#e11d48', dcl: '#2563eb', load: '#d97706' };
+const REPORT_WATERFALL_ROWS = 300;
+const REPORT_CHARTS = [
+  ['cum', 'Cumulative transfer over time'],
+  ['topSlow', 'Slowest resources'],
+  ['typePie', 'Transfer by resource type'],
+  ['proto', 'Protocols'],
+  ['entity', 'Transfer by entity'],
+  ['runs', 'Runs (median, min–max)'],
+];
+
+const scoreColor = score => score > 80 ? '#059669' : (score > 50 ? '#d97706' : '#dc2626');
+
+// Static SVG waterfall (phase segments + milestones); long pages are cut at REPORT_WATERFALL_ROWS
+function waterfallSvg(report) {
+  const rows = resourceModel(report).slice().sort((a, b) => a.start - b.start);
+  const shown = rows.slice(0, REPORT_WATERFALL_ROWS);
+  const milestones = reportMilestones(report);
+  const maxEnd = Math.max(1, ...shown.map(r => r.start + r.duration), ...milestones.map(m => m.t));
+  const W = 1000, LABEL = 300, ROW = 16, TOP = 22;
+  const H = TOP + shown.length * ROW + 4;
+  const x = t => Math.round((LABEL + t / maxEnd * (W - LABEL - 10)) * 10) / 10;
+  const step = tickStep(maxEnd);
+  let out = shown.map((r, i) => i % 2 ? `<rect x="0" y="${TOP + i * ROW}" width="${W}" height="${ROW}" fill="#f9fafb"/>` : '').join('');
+  for (let t = 0; t <= maxEnd; t += step) {
+    out += `<line x1="${x(t)}" x2="${x(t)}" y1="${TOP - 4}" y2="${H}" stroke="#e5e7eb"/><text x="${x(t)}" y="12" font-size="10" text-anchor="middle" fill="#6b7280">${ms(t)}</text>`;
+  }
+  shown.forEach((r, i) => {
+    const y = TOP + i * ROW;
+    out += `<text x="4" y="${y + 12}" font-size="10" fill="#374151">${esc(safeText(r.url.replace(/^https?:\/\//, ''), 55))}<title>${esc(r.url)}</title></text>`;
+    out += r.phases.map(p => `<rect x="${x(p.start)}" y="${y + 3}" width="${Math.max(1, x(p.end) - x(p.start))}" height="${ROW - 6}" fill="${REPORT_PHASE_COLORS[p.key]}"/>`).join('');
+    out += `<text x="${Math.min(x(r.start + r.duration) + 4, W - 40)}" y="${y + 12}" font-size="9" fill="#6b7280">${ms(r.duration)}</text>`;
+  });
+  milestones.forEach(m => {
+    out += `<line x1="${x(m.t)}" x2="${x(m.t)}" y1="${TOP - 4}" y2="${H}" stroke="${REPORT_MILESTONE_COLORS[m.key]}" stroke-dasharray="4 3"/><text x="${x(m.t) + 3}" y="${TOP - 6}" font-size="9" fill="${REPORT_MILESTONE_COLORS[m.key]}">${m.label}</text>`;
+  });
+  const more = rows.length > shown.length ? `<p class="muted">First ${shown.length} of ${rows.length} requests.</p>` : '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" font-family="system-ui,Arial,sans-serif" role="img" aria-label="Request waterfall">${out}</svg>${more}`;
+}
+
+// Current chart canvases as PNG data URLs (only charts that belong to this report)
+function chartImages(report) {
+  return REPORT_CHARTS.filter(([key]) => charts[key] && (key !== 'runs' || report.multiRun)).map(([key, title]) => {
+    let src = '';
+    try { src = charts[key].toBase64Image(); } catch (e) { console.error('chart image ' + key, e); }
+    return src ? `<figure><img src="${src}" alt="${esc(title)}"><figcaption>${esc(title)}</figcaption></figure>` : '';
+  }).join('');
+}
+
+function reportToHtml(report) {
+  const summary = summarizeReport(report);
+  const resources = report.resources || [];
+  const metrics = COMPARE_METRICS.filter(m => m.key !== 'score' && summary[m.key] !== null && summary[m.key] !== undefined)
+    .map(m => `<tr><td>${m.label}</td><td>${esc(m.fmt(summary[m.key]))}</td></tr>`).join('');
+
+  const budget = ((report.budget && report.budget.results) || []).map(r => {
+    const state = r.pass === null ? 'na' : (r.pass ? 'pass' : 'fail');
+    const unit = r.unit ? ' ' + r.unit : '';
+    return `<tr class="${state}"><td>${r.pass === null ? '–' : (r.pass ? '✔' : '✘')} ${esc(r.label)}</td><td>${r.actual === null ? 'n/a' : ms(r.actual) + unit}</td><td>${ms(r.limit)}${unit}</td></tr>`;
+  }).join('');
+
+  const audits = (report.audits || []).map(a => {
+    const savings = [a.savingsMs ? `~${a.savingsMs} ms` : '', a.savingsKB ? `~${a.savingsKB} KB` : ''].filter(Boolean).join(' · ');
+    const items = a.items.slice(0, 20).map(i => {
+      const r = resources[i] || {};
+      return `<li class="mono">${esc(r.name || r.url || '')} <span class="muted">${kb(resourceBytes(r))} KB</span></li>`;
+    }).join('');
+    const more = a.items.length > 20 ? `<li class="muted">…and ${a.items.length - 20} more</li>` : '';
+    return `<div class="audit sev-${a.severity}"><strong><span class="sev">${a.severity}</span>${esc(a.title)}</strong>${savings ? ` <span class="muted">${savings}</span>` : ''}
+      <div>${a.detail || ''}</div>${items ? `<ul>${items}${more}</ul>` : ''}</div>`;
+  }).join('');
+
+  const mt = report.mainThread;
+  const scripts = mt && mt.scripts.length ? `<table><tr><th>Script</th><th>Entity</th><th>Blocking (ms)</th></tr>${mt.scripts.slice(0, 10).map(s =>
+    `<tr><td class="mono">${esc(s.url || '(inline / unknown)')}</td><td>${esc(s.entity)}</td><td>${ms(s.blocking)}</td></tr>`).join('')}</table>` : '';
+
+  const sim = report.simulation;
+  const simulation = sim ? `<section><h2>Simulation: ${esc(sim.profile.label || sim.profile.key)}</h2><table><tr><th>Metric</th><th>Observed</th><th>Estimated</th></tr>${SIM_METRICS.map(m => {
+    const f = v => (v === null || v === undefined) ? '-' : m.fmt(v);
+    return `<tr><td>${m.label}</td><td>${f(sim.observed[m.key])}</td><td>${f(sim.estimated[m.key])}</td></tr>`;
+  }).join('')}</table></section>` : '';
+
+  const images = chartImages(report);
+  const when = report.startedDateTime ? new Date(report.startedDateTime).toLocaleString() : '';
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>PerfLab report — ${esc(report.url || '')}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<header>
+  <h1>PerfLab report</h1>
+  <div class="mono">${esc(report.url || '')}</div>
+  <div class="muted">${esc(report.mode || '')}${report.multiRun ? ` · median of ${Number(report.multiRun.count)} runs` : ''}${when ? ' · ' + esc(when) : ''}</div>
+</header>
+<section><h2>Summary</h2>
+  <div class="score" style="background:${scoreColor(summary.score)}">${summary.score === null ? '-' : summary.score}</div>
+  <table>${metrics}</table>
+</section>
+<section><h2>Score breakdown <span class="muted">(${esc(summary.scoring.profile)} profile)</span></h2>
+  <table><tr><th>Metric</th><th>Value</th><th>Good / poor</th><th>Points</th></tr>${summary.scoring.breakdown.map(b =>
+    `<tr><td>${esc(b.label)}</td><td>${b.value === null ? 'not measured' : scoreValue(b, b.value)}</td><td>${scoreValue(b, b.good)} / ${scoreValue(b, b.poor)}</td><td>${b.points === null ? '-' : `${b.points.toFixed(1)} / ${b.maxPoints.toFixed(1)}`}</td></tr>`).join('')}</table>
+</section>
+${budget ? `<section><h2>Budget</h2><table><tr><th>Line</th><th>Actual</th><th>Limit</th></tr>${budget}</table></section>` : ''}
+<h2>Suggestions</h2>
+${audits || '<p class="muted">No audits failed.</p>'}
+${scripts ? `<section><h2>Main thread</h2><p>TBT ${ms(mt.tbt)} ms · TTI ${mt.tti === null ? '-' : ms(mt.tti) + ' ms'}</p>${scripts}</section>` : ''}
+${images ? `<h2>Charts</h2><div class="charts">${images}</div>` : ''}
+<h2>Waterfall</h2>
+<div class="waterfall">${waterfallSvg(report)}</div>
+${simulation}
+<p class="muted">Generated by PerfLab on ${esc(new Date().toLocaleString())}.</p>
+</body>
+</html>
+`;
+}
+
+exportHtmlBtn.addEventListener('click', () => {
+  if (!window.lastReport) { alert('No report yet'); return; }
+  const blob = new Blob([reportToHtml(window.lastReport)], { type: 'text/html' });
+  downloadBlob('perf-report.html', blob);
+});
+
+/* ---------- Share links ---------- */
+// The report travels gzipped + base64url in the URL fragment, so it never reaches a server
+const SHARE_HASH_PREFIX = '#report=';
+const SHARE_MAX_LENGTH = 2 * 1024 * 1024; // Chromium's URL length limit
+
+// Drop what renderReport() recomputes (and per-run copies) to keep links short
+function shareableReport(report) {
+  const copy = JSON.parse(JSON.stringify(report));
+  ['ttfbBreakdown', 'budget', 'audits', 'thirdParties', 'mainThread', 'simulation', 'runs', 'scoring'].forEach(k => delete copy[k]);
+  (copy.resources || []).forEach(r => delete r.requestHeaders);
+  return copy;
+}
+
+const streamThrough = (bytes, transform) => new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer();
+
+function toBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+async function shareLink(report) {
+  const packed = await streamThrough(JSON.stringify(shareableReport(report)), new CompressionStream('gzip'));
+  return location.href.split('#')[0] + SHARE_HASH_PREFIX + toBase64Url(new Uint8Array(packed));
+}
+
+async function decodeShareLink(hash) {
+  const unpacked = await streamThrough(fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length)), new DecompressionStream('gzip'));
+  return JSON.parse(new TextDecoder().decode(unpacked));
+}
+
+shareLinkBtn.addEventListener('click', async () => {
+  if (!window.lastReport) { alert('No report yet'); return; }
+  if (!window.CompressionStream) { alert('This browser cannot compress share links (CompressionStream is missing)'); return; }
+  try {
+    const link = await shareLink(window.lastReport);
+    if (link.length > SHARE_MAX_LENGTH) { alert(`The share link would be ${kb(link.length)} KB, too long for a URL. Export the report as JSON or HTML instead.`); return; }
+    await navigator.clipboard.writeText(link);
+    setStatus(`Share link copied (${kb(link.length)} KB)`);
+  } catch (err) {
+    alert('Could not create share link: ' + (err.message || err));
+    setStatus('Share link failed');
+  }
+});
+
+// A share link is untrusted input: keep only the fields PerfLab writes (see shareableReport) and
+// coerce the ones it renders as numbers before anything reaches renderReport()
+const SHARED_REPORT_KEYS = ['mode', 'url', 'startedDateTime', 'title', 'hints', 'paints', 'inline', 'images', 'fcp', 'lcp', 'lcpAttribution',
+  'cls', 'clsShifts', 'inp', 'inpAttribution', 'longTasks', 'longTasksCollected', 'longAnimationFrames', 'dpr', 'cssCoverage', 'jsCoverage',
+  'compression', 'imageAnalysis', 'run', 'multiRun'];
+const SHARED_TIMING_KEYS = ['startTime', 'duration', 'workerStart', 'redirectStart', 'redirectEnd', 'fetchStart', 'domainLookupStart', 'domainLookupEnd',
+  'connectStart', 'secureConnectionStart', 'connectEnd', 'requestStart', 'responseStart', 'responseEnd', 'transferSize', 'encodedBodySize',
+  'decodedBodySize', 'status', 'redirectCount', 'unloadEventStart', 'unloadEventEnd', 'domInteractive', 'domContentLoadedEventStart',
+  'domContentLoadedEventEnd', 'domComplete', 'loadEventStart', 'loadEventEnd'];
+const SHARED_ENTRY_KEYS = SHARED_TIMING_KEYS.concat(['name', 'entryType', 'type', 'initiatorType', 'initiator', 'renderBlockingStatus', 'nextHopProtocol',
+  'method', 'statusText', 'mimeType', 'responseHeaders', 'durationStats', 'error', 'errorMessage']);
+const SHARED_NUMBER_KEYS = new Set(SHARED_TIMING_KEYS.concat(['fcp', 'lcp', 'cls', 'inp', 'dpr', 'size', 'start', 'blockingDuration', 'renderStart',
+  'styleAndLayoutStart', 'forcedStyleAndLayoutDuration', 'naturalWidth', 'naturalHeight', 'displayWidth', 'displayHeight', 'scripts', 'scriptBytes',
+  'styles', 'styleBytes', 'rules', 'unusedRules', 'usedBytes', 'unusedBytes', 'bytes', 'functions', 'unusedFunctions', 'windowMs', 'gzip', 'brotli',
+  'quality', 'original', 'width', 'height', 'webp', 'avif', 'resizedWidth', 'resizedWebp', 'resizedAvif', 'median', 'min', 'max', 'stddev', 'mean',
+  'n', 'count', 'medianRun', 'index']));
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// arrays and objects are walked (their own keys are kept); scalars under a number key become a number or null
+function sharedValue(value, key) {
+  if (Array.isArray(value)) return value.map(v => sharedValue(v, key));
+  if (value && typeof value === 'object') {
+    const out = {};
+    Object.keys(value).forEach(k => { if (k !== '__proto__') out[k] = sharedValue(value[k], k); });
+    return out;
+  }
+  if (!SHARED_NUMBER_KEYS.has(key)) return value;
+  return value === null || value === '' || !isFinite(Number(value)) ? null : Number(value);
+}
+
+function sharedEntry(entry) {
+  const out = {};
+  if (entry && typeof entry === 'object') SHARED_ENTRY_KEYS.forEach(k => { if (hasOwn(entry, k)) out[k] = sharedValue(entry[k], k); });
+  return out;
+}
+
+function normalizeSharedReport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('not a PerfLab report');
+  if (typeof data.url !== 'string' || !Array.isArray(data.resources)) throw new Error('not a PerfLab report (missing url/resources)');
+  const report = {};
+  SHARED_REPORT_KEYS.forEach(k => { if (hasOwn(data, k)) report[k] = sharedValue(data[k], k); });
+  report.mode = typeof data.mode === 'string' ? data.mode : '';
+  report.nav = data.nav ? sharedEntry(data.nav) : null;
+  report.resources = data.resources.map(sharedEntry);
+  return report;
+}
+
+async function openSharedReport() {
+  if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+  // links open someone else's data, so never render one without asking
+  if (!confirm('Open the PerfLab report in this link? It was measured by whoever shared it, not by you.')) {
+    setStatus('Shared report not opened');
+    return;
+  }
+  setStatus('Opening shared report...');
+  try {
+    const report = normalizeSharedReport(await decodeShareLink(location.hash));
+    renderReport(report, { save: false });
+    setStatus('Shared report loaded');
+  } catch (err) {
+    alert('Could not open shared report: ' + (err.message || err));
+    setStatus('Shared report failed');
+  }
+}
+window.addEventListener('hashchange', openSharedReport);
+
 /* ---------- UI helpers ---------- */
 clearBtn.addEventListener('click', () => {
+  compareCard.classList.add('hidden');
+  fieldCard.classList.add('hidden');
+  crawlCard.classList.add('hidden');
   summaryCard.classList.add('hidden');
   chartsCard.classList.add('hidden');
   waterfallCard.classList.add('hidden');
   resourcesCard.classList.add('hidden');
   rawCard.classList.add('hidden');
+  thirdPartyCard.classList.add('hidden');
+  mainThreadCard.classList.add('hidden');
+  runsCard.classList.add('hidden');
+  simulationCard.classList.add('hidden');
+  cachingCard.classList.add('hidden');
+  imagesCard.classList.add('hidden');
+  coverageCard.classList.add('hidden');
+  initiatorCard.classList.add('hidden');
   resourcesTableBody.innerHTML = '';
-  waterfallWrap.innerHTML = '';
+  mainWaterfall.clear();
   rawOut.textContent = '{}';
   setStatus('Ready');
   window.lastReport = null;
+  lastCrawl = null;
 });
 
 analyzeBtn.addEventListener('click', async () => {
@@ -492,14 +4117,32 @@ analyzeBtn.addEventListener('click', async () => {
   waterfallCard.classList.add('hidden');
   resourcesCard.classList.add('hidden');
   rawCard.classList.add('hidden');
+  thirdPartyCard.classList.add('hidden');
+  mainThreadCard.classList.add('hidden');
+  runsCard.classList.add('hidden');
+  simulationCard.classList.add('hidden');
+  cachingCard.classList.add('hidden');
+  imagesCard.classList.add('hidden');
+  coverageCard.classList.add('hidden');
+  initiatorCard.classList.add('hidden');
+  crawlCard.classList.add('hidden');
   resourcesTableBody.innerHTML = '';
-  waterfallWrap.innerHTML = '';
+  mainWaterfall.clear();
   rawOut.textContent = '{}';
   suggestionsEl.innerHTML = '';
+  budgetResultsEl.innerHTML = '';
+  ttfbBreakdownEl.innerHTML = '';
+  vitalsAttributionEl.innerHTML = '';
 
   const mode = modeEl.value;
   if (mode === 'current') {
     try { await analyzeCurrent(); } catch (e) { console.error(e); alert('Error: ' + e.message); setStatus('Error'); }
+  } else if (mode === 'har') {
+    await analyzeHar(harInput.files[0]);
+  } else if (mode === 'collected') {
+    analyzeCollected(collectedInput.value.trim());
+  } else if (mode === 'crawl') {
+    await analyzeCrawl(crawlInput.value.trim());
   } else {
     const url = urlInput.value.trim();
     try { new URL(url); } catch (e) { alert('Invalid URL'); setStatus('Ready'); return; }
@@ -529,6 +4172,31 @@ themeToggle.addEventListener('click', () => {
 
 /* ---------- init ---------- */
 setStatus('Ready — choose mode and click "Run Analysis"');
+budgetInput.value = JSON.stringify(currentBudget, null, 2);
+syncScoreProfileInputs();
+entitiesInput.value = JSON.stringify(userEntities, null, 2);
+$('bookmarkletLink').href = bookmarkletHref();
+proxyUrlInput.value = localStorage.getItem(PROXY_STORAGE_KEY) || DEFAULT_PROXY_URL;
+(() => {
+  // opened from the proxy itself (server/proxy.js prints /?proxyToken=...): use it, then drop the token from the address bar
+  const params = new URLSearchParams(location.search);
+  const token = params.get('proxyToken');
+  if (!token) return;
+  proxyUrlInput.value = `${location.origin}/?token=${encodeURIComponent(token)}`;
+  localStorage.setItem(PROXY_STORAGE_KEY, proxyUrlInput.value);
+  params.delete('proxyToken');
+  history.replaceState(null, '', location.pathname + (params.toString() ? '?' + params : '') + location.hash);
+})();
+rumUrlInput.value = localStorage.getItem(RUM_STORAGE_KEY) || DEFAULT_RUM_URL;
+simProfileEl.innerHTML = Object.keys(NETWORK_PROFILES).map(k => `<option value="${k}">${NETWORK_PROFILES[k].label}</option>`).join('') + '<option value="custom">Custom</option>';
+(() => {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(SIM_PROFILE_STORAGE_KEY)); } catch (e) { /* ignore */ }
+  simProfileEl.value = saved && (saved.key === 'custom' || NETWORK_PROFILES[saved.key]) ? saved.key : 'slow-4g';
+  setSimInputs(saved && saved.key === 'custom' ? saved : NETWORK_PROFILES[simProfileEl.value]);
+})();
+refreshHistory();
+openSharedReport();
 // Optionally auto-run analyzeCurrent when opened from the same host — commented to avoid surprise
 // setupObservers(); analyzeCurrent();
 
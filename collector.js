@@ -0,0 +1,312 @@
+/* PerfLab collector
+   - The PerformanceObserver logic behind "Analyze Current Page", usable inside any page.
+   - Loaded by index.html before app.js, and injected by the PerfLab bookmarklet.
+   - Bookmarklet mode sends the collected report to the PerfLab window that opened
+     the page (postMessage); otherwise it shows the JSON to paste into PerfLab.
+*/
+(function () {
+  const MESSAGE_TYPE = 'perflab:report';
+
+  /* ---------- Element attribution ---------- */
+  const area = r => r ? r.width * r.height : 0;
+  const encoder = window.TextEncoder ? new TextEncoder() : null;
+  const byteLength = s => encoder ? encoder.encode(s).length : s.length; // UTF-8 bytes, not UTF-16 units
+  const cssEscape = v => (window.CSS && CSS.escape) ? CSS.escape(v) : String(v).replace(/[^\w-]/g, c => '\\' + c);
+
+  // short, reasonably unique CSS selector for a node (stops at the nearest id)
+  function selectorFor(node) {
+    if (!node || node.nodeType !== 1) return null;
+    const parts = [];
+    let el = node;
+    while (el && el.nodeType === 1 && parts.length < 5) {
+      if (el.id) { parts.unshift(el.localName + '#' + cssEscape(el.id)); break; }
+      let part = el.localName + Array.from(el.classList).slice(0, 2).map(c => '.' + cssEscape(c)).join('');
+      const parent = el.parentElement;
+      if (parent) {
+        const same = Array.from(parent.children).filter(c => c.localName === el.localName);
+        if (same.length > 1) part += `:nth-of-type(${same.indexOf(el) + 1})`;
+      }
+      parts.unshift(part);
+      if (el.localName === 'body') break;
+      el = parent;
+    }
+    return parts.join(' > ');
+  }
+
+  /* ---------- CSS coverage ---------- */
+  const MAX_COVERAGE_RULES = 20000;
+  // state-dependent pseudo-classes / pseudo-elements never match querySelector, so test the rule without them
+  const DYNAMIC_PSEUDO = /::?(?:hover|focus(?:-within|-visible)?|active|visited|link|any-link|target|checked|indeterminate|default|placeholder-shown|autofill|invalid|valid|user-invalid|before|after|first-line|first-letter|placeholder|selection|marker|backdrop|file-selector-button|cue|-webkit-[\w-]+|-moz-[\w-]+|-ms-[\w-]+)(?:\([^)]*\))?/gi;
+
+  // top-level commas only (not the ones inside :is(a, b))
+  function splitSelectors(text) {
+    const parts = [];
+    let depth = 0, start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (c === '(' || c === '[') depth++;
+      else if (c === ')' || c === ']') depth--;
+      else if (c === ',' && depth === 0) { parts.push(text.slice(start, i)); start = i + 1; }
+    }
+    parts.push(text.slice(start));
+    return parts.map(p => p.trim()).filter(Boolean);
+  }
+
+  function selectorUsed(selectorText) {
+    return splitSelectors(selectorText).some(sel => {
+      const stripped = sel.replace(DYNAMIC_PSEUDO, '').replace(/(^|[\s>+~])(?=$|[\s>+~])/g, '$1*').trim() || '*';
+      try { return !!document.querySelector(stripped); } catch (e) { return true; } // can't evaluate: assume used
+    });
+  }
+
+  // used vs unused bytes (of the rules' text) per stylesheet; rules whose selector matches nothing are unused
+  function cssCoverage() {
+    let budget = MAX_COVERAGE_RULES;
+    const walk = (rules, acc) => {
+      for (const rule of Array.from(rules)) {
+        if (budget-- <= 0) { acc.truncated = true; return; }
+        if (rule.selectorText !== undefined && !(rule.cssRules && rule.cssRules.length)) {
+          const bytes = byteLength(rule.cssText);
+          acc.rules++;
+          if (selectorUsed(rule.selectorText)) acc.usedBytes += bytes;
+          else { acc.unusedBytes += bytes; acc.unusedRules++; }
+        } else if (rule.cssRules) {
+          walk(rule.cssRules, acc); // @media, @supports, @layer, @container, nested rules
+        } else {
+          acc.usedBytes += byteLength(rule.cssText); // @font-face, @keyframes, @import...: not checked
+        }
+      }
+    };
+    return Array.from(document.styleSheets).map((sheet, i) => {
+      const out = { url: sheet.href || null, owner: sheet.href ? null : selectorFor(sheet.ownerNode) || 'style #' + i, rules: 0, unusedRules: 0, usedBytes: 0, unusedBytes: 0 };
+      try { walk(sheet.cssRules, out); } catch (e) { out.error = 'Rules not readable (cross-origin stylesheet without CORS)'; }
+      return out;
+    });
+  }
+
+  /* ---------- Observers ---------- */
+  const CLS_SESSION_GAP = 1000; // a session window ends after 1 s without shifts...
+  const CLS_SESSION_MAX = 5000; // ...or after 5 s in total
+  const MAX_SHIFTS = 5;
+  const MAX_FRAMES = 200; // long animation frames kept (each carries its script attribution)
+  const MAX_IMAGES = 200;
+
+  // intrinsic vs rendered size of each <img>; width + height attributes (or CSS aspect-ratio) reserve its box before load
+  function collectImages() {
+    return Array.from(document.images).slice(0, MAX_IMAGES).map(img => {
+      const rect = img.getBoundingClientRect();
+      const style = getComputedStyle(img);
+      return {
+        url: img.currentSrc || img.src,
+        naturalWidth: img.naturalWidth, naturalHeight: img.naturalHeight,
+        displayWidth: Math.round(rect.width), displayHeight: Math.round(rect.height),
+        hasSize: (img.hasAttribute('width') && img.hasAttribute('height')) || (!!style.aspectRatio && style.aspectRatio !== 'auto'),
+        loading: img.getAttribute('loading') || 'eager',
+        selector: selectorFor(img),
+      };
+    }).filter(i => i.url && !i.url.startsWith('data:'));
+  }
+
+  function createCollector({ collectLongTasks = true, collectImages: withImages = true, collectCoverage: withCoverage = true } = {}) {
+    const state = {
+      lcp: null, lcpAttribution: null,
+      cls: 0, clsShifts: [],
+      interactions: new Map(), // interactionId -> worst event of that interaction
+      longTasks: [],
+      frames: [],
+    };
+    let session = { value: 0, first: 0, last: 0 };
+    const observers = [];
+
+    function observe(type, onEntry, opts = {}) {
+      try {
+        const o = new PerformanceObserver(list => { for (const e of list.getEntries()) onEntry(e); });
+        o.observe(Object.assign({ type, buffered: true }, opts));
+        observers.push(o);
+      } catch (e) { /* ignore: entry type not supported */ }
+    }
+
+    function onLayoutShift(e) {
+      if (e.hadRecentInput) return;
+      // CLS = largest session window, not the sum over the page's lifetime
+      if (session.value && e.startTime - session.last < CLS_SESSION_GAP && e.startTime - session.first < CLS_SESSION_MAX) {
+        session.value += e.value;
+        session.last = e.startTime;
+      } else {
+        session = { value: e.value, first: e.startTime, last: e.startTime };
+      }
+      state.cls = Math.max(state.cls, session.value);
+
+      const sources = (e.sources || []).filter(src => src.node);
+      const largest = sources.sort((x, y) => area(y.currentRect) + area(y.previousRect) - area(x.currentRect) - area(x.previousRect))[0];
+      state.clsShifts.push({ value: e.value, start: e.startTime, selector: largest ? selectorFor(largest.node) : null });
+      state.clsShifts.sort((x, y) => y.value - x.value).splice(MAX_SHIFTS);
+    }
+
+    function onEvent(e) {
+      if (!e.interactionId) return;
+      const prev = state.interactions.get(e.interactionId);
+      if (prev && prev.duration >= e.duration) return;
+      state.interactions.set(e.interactionId, { type: e.name, duration: e.duration, start: e.startTime, selector: selectorFor(e.target) });
+    }
+
+    if ('PerformanceObserver' in window) {
+      observe('largest-contentful-paint', e => {
+        state.lcp = e.startTime || e.renderTime || state.lcp;
+        state.lcpAttribution = { selector: selectorFor(e.element), url: e.url || null, size: e.size, element: e.element ? e.element.localName : null };
+      });
+      observe('layout-shift', onLayoutShift);
+      observe('event', onEvent, { durationThreshold: 40 });
+      observe('first-input', onEvent);
+      if (collectLongTasks) {
+        observe('longtask', e => {
+          const frame = (e.attribution || [])[0];
+          state.longTasks.push({ name: e.name || 'longtask', start: e.startTime, duration: e.duration, containerSrc: (frame && frame.containerSrc) || null });
+        });
+        // Long Animation Frames (Chromium 123+) say which scripts ran in a slow frame
+        observe('long-animation-frame', e => {
+          if (state.frames.length >= MAX_FRAMES) return;
+          state.frames.push({
+            start: e.startTime, duration: e.duration, blockingDuration: e.blockingDuration || 0,
+            renderStart: e.renderStart || 0, styleAndLayoutStart: e.styleAndLayoutStart || 0,
+            scripts: (e.scripts || []).map(sc => ({
+              sourceURL: sc.sourceURL || '', sourceFunctionName: sc.sourceFunctionName || '',
+              invoker: sc.invoker || '', invokerType: sc.invokerType || '',
+              start: sc.startTime, duration: sc.duration, forcedStyleAndLayoutDuration: sc.forcedStyleAndLayoutDuration || 0,
+            })),
+          });
+        });
+      }
+    }
+
+    // INP: worst interaction, ignoring one outlier per 50 interactions (~p98)
+    function inp() {
+      const all = Array.from(state.interactions.values()).sort((x, y) => y.duration - x.duration);
+      if (all.length === 0) return null;
+      return all[Math.min(all.length - 1, Math.floor(all.length / 50))];
+    }
+
+    return {
+      // report in the shape renderReport() consumes (entries are live PerformanceEntry objects)
+      snapshot() {
+        const navEntries = performance.getEntriesByType('navigation') || [];
+        const paints = performance.getEntriesByType('paint') || [];
+        const fcp = paints.find(p => p.name === 'first-contentful-paint');
+        const worst = inp();
+        return {
+          mode: 'current',
+          url: location.href,
+          startedDateTime: new Date(performance.timeOrigin).toISOString(),
+          title: document.title || '',
+          hints: Array.from(document.querySelectorAll('link[rel~="preconnect"][href], link[rel~="dns-prefetch"][href]'))
+            .map(l => ({ rel: l.getAttribute('rel'), href: l.href })),
+          nav: navEntries.length ? navEntries[0] : null,
+          paints,
+          resources: performance.getEntriesByType('resource') || [],
+          fcp: fcp ? fcp.startTime : null,
+          lcp: state.lcp,
+          lcpAttribution: state.lcpAttribution,
+          cls: state.cls,
+          clsShifts: state.clsShifts.slice(),
+          inp: worst ? worst.duration : null,
+          inpAttribution: worst,
+          longTasks: state.longTasks.slice(),
+          // false: no long task observer ran, so an empty list doesn't mean an idle main thread
+          longTasksCollected: collectLongTasks && !!window.PerformanceObserver && (PerformanceObserver.supportedEntryTypes || []).includes('longtask'),
+          longAnimationFrames: state.frames.slice(),
+          images: withImages ? collectImages() : [],
+          cssCoverage: withCoverage ? cssCoverage() : [],
+          dpr: window.devicePixelRatio || 1,
+        };
+      },
+      disconnect() { observers.forEach(o => o.disconnect()); },
+    };
+  }
+
+  // plain JSON copy (PerformanceEntry objects can't be posted or stored as-is)
+  function serialize(report) { return JSON.parse(JSON.stringify(report)); }
+
+  /* ---------- Cache headers ---------- */
+  // Resource Timing has no response headers: re-request same-origin resources (GET from the HTTP cache when
+  // possible, body discarded; HEAD responses often lack Content-Encoding) and keep the headers caching and
+  // compression depend on. API and analytics requests (fetch / XHR / beacon) are never repeated.
+  const CACHE_HEADERS = ['cache-control', 'expires', 'etag', 'last-modified', 'content-encoding', 'vary', 'content-type', 'date', 'age'];
+  const MAX_HEADER_FETCHES = 150;
+  const HEADER_FETCH_PARALLEL = 6;
+  const SKIP_INITIATORS = ['fetch', 'xmlhttprequest', 'beacon'];
+
+  // adds responseHeaders to the nav entry and same-origin resources of a serialized report
+  async function fetchHeaders(report) {
+    let origin;
+    try { origin = new URL(report.url).origin; } catch (e) { return report; }
+    const byUrl = new Map();
+    [report.nav].concat(report.resources || []).forEach(r => {
+      if (!r || r.responseHeaders || !r.name || SKIP_INITIATORS.includes(r.initiatorType)) return;
+      try { if (new URL(r.name).origin !== origin) return; } catch (e) { return; }
+      if (!byUrl.has(r.name)) byUrl.set(r.name, []);
+      byUrl.get(r.name).push(r);
+    });
+    const urls = Array.from(byUrl.keys()).slice(0, MAX_HEADER_FETCHES);
+    for (let i = 0; i < urls.length; i += HEADER_FETCH_PARALLEL) {
+      await Promise.all(urls.slice(i, i + HEADER_FETCH_PARALLEL).map(async url => {
+        try {
+          const resp = await fetch(url, { cache: 'force-cache', credentials: 'same-origin' });
+          if (resp.body) resp.body.cancel().catch(() => {});
+          const headers = CACHE_HEADERS.filter(h => resp.headers.has(h)).map(name => ({ name, value: resp.headers.get(name) }));
+          byUrl.get(url).forEach(r => { r.responseHeaders = headers; });
+        } catch (e) { /* leave without headers */ }
+      }));
+    }
+    return report;
+  }
+
+  /* ---------- Bookmarklet mode ---------- */
+  function showJson(json, sent) {
+    const box = document.createElement('div');
+    box.style.cssText = 'position:fixed;z-index:2147483647;top:16px;right:16px;width:420px;max-width:90vw;padding:12px;border-radius:10px;background:#0b1220;color:#e6eef6;font:13px system-ui,Arial;box-shadow:0 8px 30px rgba(0,0,0,.5)';
+    const title = document.createElement('div');
+    title.textContent = sent
+      ? 'PerfLab: report sent to the PerfLab window. If it did not arrive, paste this JSON into the "Collected" mode.'
+      : 'PerfLab: copy this JSON into the "Collected" mode';
+    const area = document.createElement('textarea');
+    area.value = json;
+    area.readOnly = true;
+    area.style.cssText = 'width:100%;height:180px;margin:8px 0;font:11px monospace;background:#020617;color:#9fd8d0;border:0;border-radius:6px';
+    const copy = document.createElement('button');
+    copy.textContent = 'Copy';
+    copy.onclick = () => { area.select(); (navigator.clipboard ? navigator.clipboard.writeText(json) : Promise.reject()).catch(() => document.execCommand('copy')); copy.textContent = 'Copied'; };
+    const close = document.createElement('button');
+    close.textContent = 'Close';
+    close.style.marginLeft = '8px';
+    close.onclick = () => box.remove();
+    box.append(title, area, copy, close);
+    document.body.appendChild(box);
+  }
+
+  function runBookmarklet(script) {
+    // only ever post back to the PerfLab origin the collector was loaded from
+    const origin = new URL(script.src, location.href).origin;
+    const collector = createCollector({ collectLongTasks: true });
+    setTimeout(async () => {
+      const report = serialize(collector.snapshot());
+      collector.disconnect();
+      await fetchHeaders(report);
+      report.mode = 'collected';
+      const perflab = window.opener;
+      let sent = false;
+      // a file:// PerfLab has origin "null", which can only be reached with '*' (any opener would read the report)
+      if (perflab && !perflab.closed && origin !== 'null') {
+        try {
+          perflab.postMessage({ type: MESSAGE_TYPE, report }, origin);
+          sent = true;
+        } catch (e) { /* fall back to copy/paste */ }
+      }
+      showJson(JSON.stringify(report), sent);
+    }, 500);
+  }
+
+  window.PerfLabCollector = { create: createCollector, serialize, fetchHeaders, selectorFor, MESSAGE_TYPE };
+
+  const script = document.currentScript;
+  if (script && script.dataset.perflab === 'collect') runBookmarklet(script);
+})();
@@ -0,0 +1,72 @@
+/* PerfLab RUM snippet
+   - Measures real page views with the same observers as PerfLab (collector.js) and
+     beacons LCP / CLS / INP / FCP / TTFB plus device and connection class to a collector.
+   - Embed: <script src="https://your-cdn/perflab/rum.js" data-endpoint="https://rum.example/beacon" data-sample="0.25" async></script>
+     collector.js is loaded from the same folder when it isn't on the page already.
+   - Local collector: node server/rum-collector.js (endpoint http://localhost:8788/beacon)
+*/
+(function () {
+  const script = document.currentScript;
+  if (!script || !script.dataset.endpoint) return;
+  const endpoint = script.dataset.endpoint;
+  const sample = script.dataset.sample !== undefined ? Number(script.dataset.sample) : 1;
+  if (!(Math.random() < sample)) return;
+
+  function deviceClass() {
+    const uaData = navigator.userAgentData;
+    if (uaData && typeof uaData.mobile === 'boolean' && uaData.mobile) return 'mobile';
+    const ua = navigator.userAgent || '';
+    if (/iPad|Tablet|(Android(?!.*Mobile))/i.test(ua)) return 'tablet';
+    if (/Mobi|iPhone|Android/i.test(ua)) return 'mobile';
+    return 'desktop';
+  }
+
+  function connectionType() {
+    const c = navigator.connection;
+    return (c && c.effectiveType) || 'unknown';
+  }
+
+  function start() {
+    const collector = window.PerfLabCollector.create({ collectLongTasks: false, collectImages: false, collectCoverage: false });
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    let sent = false;
+
+    // final CLS / INP are only known when the page is hidden or unloaded; send once per view
+    function send() {
+      if (sent) return;
+      sent = true;
+      const report = collector.snapshot();
+      collector.disconnect();
+      const nav = report.nav || {};
+      const beacon = {
+        id,
+        ts: Date.now(),
+        url: location.origin + location.pathname,
+        path: location.pathname,
+        navigationType: nav.type || null,
+        device: deviceClass(),
+        connection: connectionType(),
+        lcp: report.lcp,
+        cls: report.cls,
+        inp: report.inp,
+        fcp: report.fcp,
+        ttfb: nav.responseStart > 0 ? nav.responseStart : null,
+      };
+      // text/plain keeps the beacon a "simple" CORS request (no preflight)
+      const body = new Blob([JSON.stringify(beacon)], { type: 'text/plain' });
+      if (!(navigator.sendBeacon && navigator.sendBeacon(endpoint, body))) {
+        fetch(endpoint, { method: 'POST', body, keepalive: true, mode: 'no-cors' }).catch(() => { /* best effort */ });
+      }
+    }
+
+    document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') send(); });
+    window.addEventListener('pagehide', send);
+  }
+
+  if (window.PerfLabCollector) return start();
+  const loader = document.createElement('script');
+  loader.src = new URL('collector.js', script.src).href;
+  loader.async = true;
+  loader.onload = () => { if (window.PerfLabCollector) start(); };
+  document.head.appendChild(loader);
+})();
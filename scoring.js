@@ -0,0 +1,110 @@
+/* PerfLab scoring
+   - Turns metric values into a 0-100 score. Each metric goes through a log-normal curve set by two
+     control points (value at "good" scores 0.9, value at "poor" scores 0.5) and the metric scores
+     are averaged by weight. Metrics that weren't measured drop out and the weights are rescaled.
+   - Standalone: loaded by index.html before app.js (window.PerfLabScoring) and usable from Node to
+     re-score exported reports: require('./scoring.js').score(report.scoring.values, PROFILES.desktop)
+   - Profiles are plain JSON: { "name": "slow-shop", "metrics": { "lcp": { "good": 2500, "poor": 4000, "weight": 25 } } }
+*/
+(function (root) {
+  // keys are the fields of PerfLab's report summary
+  const METRICS = {
+    fcp: { label: 'FCP', unit: 'ms' },
+    lcp: { label: 'LCP', unit: 'ms' },
+    tbt: { label: 'TBT', unit: 'ms' },
+    cls: { label: 'CLS', unit: '' },
+    inp: { label: 'INP', unit: 'ms' },
+    ttfb: { label: 'TTFB', unit: 'ms' },
+    totalBytes: { label: 'Total transfer', unit: 'bytes' },
+    requests: { label: 'Requests', unit: '' },
+    imageSavings: { label: 'Image savings', unit: 'bytes' },
+  };
+  const KB = 1024;
+
+  const PROFILES = {
+    mobile: { name: 'mobile', metrics: {
+      fcp: { good: 1800, poor: 3000, weight: 10 },
+      lcp: { good: 2500, poor: 4000, weight: 25 },
+      tbt: { good: 200, poor: 600, weight: 25 },
+      cls: { good: 0.1, poor: 0.25, weight: 15 },
+      inp: { good: 200, poor: 500, weight: 10 },
+      ttfb: { good: 800, poor: 1800, weight: 5 },
+      totalBytes: { good: 1600 * KB, poor: 4000 * KB, weight: 5 },
+      imageSavings: { good: 50 * KB, poor: 250 * KB, weight: 5 },
+    } },
+    desktop: { name: 'desktop', metrics: {
+      fcp: { good: 900, poor: 1600, weight: 10 },
+      lcp: { good: 1200, poor: 2400, weight: 25 },
+      tbt: { good: 150, poor: 350, weight: 25 },
+      cls: { good: 0.1, poor: 0.25, weight: 15 },
+      inp: { good: 200, poor: 500, weight: 10 },
+      ttfb: { good: 600, poor: 1200, weight: 5 },
+      totalBytes: { good: 2500 * KB, poor: 6000 * KB, weight: 5 },
+      imageSavings: { good: 100 * KB, poor: 500 * KB, weight: 5 },
+    } },
+  };
+
+  const GOOD_Z = 1.2815515655446004; // standard normal quantile of 0.9: "good" sits that many sigmas below "poor"
+
+  // Abramowitz & Stegun 7.1.26 (error < 1.5e-7)
+  function erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const a = Math.abs(x);
+    const t = 1 / (1 + 0.3275911 * a);
+    const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-a * a);
+    return sign * y;
+  }
+
+  // 0..1; the curve's median is "poor" (0.5) and "good" scores 0.9
+  function curveScore(value, { good, poor }) {
+    if (value <= 0) return 1;
+    const sigma = (Math.log(poor) - Math.log(good)) / GOOD_Z;
+    const z = (Math.log(value) - Math.log(poor)) / sigma;
+    return Math.min(1, Math.max(0, 0.5 * (1 - erf(z / Math.SQRT2))));
+  }
+
+  function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) throw new Error('Profile must be a JSON object');
+    const metrics = profile.metrics;
+    if (!metrics || typeof metrics !== 'object' || Array.isArray(metrics)) throw new Error('Profile needs a "metrics" object');
+    const out = { name: typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim().slice(0, 40) : 'custom', metrics: {} };
+    Object.keys(metrics).forEach(k => {
+      if (!Object.prototype.hasOwnProperty.call(METRICS, k)) throw new Error(`Unknown metric "${k}" (expected one of ${Object.keys(METRICS).join(', ')})`);
+      const { good, poor, weight } = metrics[k] || {};
+      if (![good, poor].every(v => typeof v === 'number' && isFinite(v) && v > 0)) throw new Error(`Metric "${k}" needs positive numbers for "good" and "poor"`);
+      if (!(poor > good)) throw new Error(`Metric "${k}": "poor" must be greater than "good"`);
+      if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) throw new Error(`Metric "${k}" needs a non-negative "weight"`);
+      out.metrics[k] = { good, poor, weight };
+    });
+    if (!Object.keys(out.metrics).some(k => out.metrics[k].weight > 0)) throw new Error('At least one metric needs a weight above 0');
+    return out;
+  }
+
+  // { profile, score (null when no weighted metric was measured), values, breakdown: one line per profile metric }
+  function score(values, profile) {
+    const measured = v => typeof v === 'number' && isFinite(v);
+    const breakdown = Object.keys(profile.metrics).map(key => {
+      const m = profile.metrics[key];
+      const value = measured(values[key]) ? values[key] : null;
+      return Object.assign({ key, value, score: value === null ? null : curveScore(value, m), points: null, maxPoints: null }, METRICS[key], m);
+    });
+    const total = breakdown.reduce((sum, b) => sum + (b.score === null ? 0 : b.weight), 0);
+    breakdown.forEach(b => {
+      if (b.score === null || !total) return;
+      b.maxPoints = b.weight / total * 100;
+      b.points = b.score * b.maxPoints;
+    });
+    const picked = {};
+    Object.keys(METRICS).forEach(k => { picked[k] = measured(values[k]) ? values[k] : null; });
+    return {
+      profile: profile.name,
+      score: total ? Math.round(breakdown.reduce((sum, b) => sum + (b.points || 0), 0)) : null,
+      values: picked,
+      breakdown,
+    };
+  }
+
+  const api = { METRICS, PROFILES, curveScore, validateProfile, score };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.PerfLabScoring = api;
+})(typeof self !== 'undefined' ? self : this);
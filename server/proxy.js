@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/* PerfLab measurement proxy
+   - Fetches a target URL server-side and reports real network phases
+     (DNS / connect / TLS / TTFB / download), HTTP version, status, headers
+     and compressed vs. uncompressed size as JSON.
+   - Used by PerfLab's "External URL" mode instead of a public CORS proxy.
+   - No dependencies: node server/proxy.js [--port 8787] [--host 127.0.0.1] [--allow-origin <origin>] [--allow-private]
+   - Also serves PerfLab itself at / so the UI and the proxy share an origin (no CORS needed).
+
+   Endpoints (all but / and /health need the token printed at start: &token=...)
+     GET /measure?url=<target>[&body=1][&method=HEAD]  -> measurement JSON (body=1 adds text bodies)
+     GET /raw?url=<target>                             -> the decoded response body itself
+     GET /health                                       -> { ok: true }
+
+   Env: PORT, HOST,
+     PERFLAB_ALLOW_ORIGIN   origin of a PerfLab served elsewhere to allow via CORS (default: none)
+     PERFLAB_PROXY_TOKEN    fixed token instead of a random one per start
+     PERFLAB_ALLOW_PRIVATE  "1" to allow loopback / private / reserved targets (default: refused)
+   The proxy fetches what it is asked to, so keep it bound to localhost.
+*/
+'use strict';
+
+const http = require('http');
+const http2 = require('http2');
+const net = require('net');
+const tls = require('tls');
+const dns = require('dns');
+const zlib = require('zlib');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { performance } = require('perf_hooks');
+
+const argv = process.argv.slice(2);
+const arg = (name, fallback) => { const i = argv.indexOf('--' + name); return i >= 0 && argv[i + 1] ? argv[i + 1] : fallback; };
+
+const PORT = Number(arg('port', process.env.PORT || 8787));
+const HOST = arg('host', process.env.HOST || '127.0.0.1');
+const ALLOW_ORIGIN = arg('allow-origin', process.env.PERFLAB_ALLOW_ORIGIN || '');
+const ALLOW_PRIVATE = argv.includes('--allow-private') || process.env.PERFLAB_ALLOW_PRIVATE === '1';
+const TOKEN = process.env.PERFLAB_PROXY_TOKEN || crypto.randomBytes(16).toString('hex');
+const TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+const MAX_TEXT_BODY = 5 * 1024 * 1024;
+const MAX_BODY_BYTES = 50 * 1024 * 1024;    // stop reading the upstream body beyond this
+const MAX_DECODED_BYTES = 100 * 1024 * 1024; // and never inflate past this
+const APP_ROOT = path.resolve(__dirname, '..');
+const APP_FILES = {
+  '/': ['index.html', 'text/html; charset=utf-8'],
+  '/index.html': ['index.html', 'text/html; charset=utf-8'],
+  '/app.js': ['app.js', 'text/javascript; charset=utf-8'],
+  '/collector.js': ['collector.js', 'text/javascript; charset=utf-8'],
+  '/scoring.js': ['scoring.js', 'text/javascript; charset=utf-8'],
+  '/rum.js': ['rum.js', 'text/javascript; charset=utf-8'],
+  '/style.css': ['style.css', 'text/css; charset=utf-8'],
+};
+const USER_AGENT = 'Mozilla/5.0 (compatible; PerfLab-Proxy/1.0)';
+
+/* ---------- Utilities ---------- */
+const now = () => performance.timeOrigin + performance.now(); // epoch ms with sub-ms precision
+const round = n => Math.round(n * 100) / 100;
+
+function isTextType(mime) {
+  return /^text\/|json|javascript|ecmascript|xml|svg/i.test(mime || '');
+}
+
+const gunzip = promisify(zlib.gunzip);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+const inflate = promisify(zlib.inflate);
+const inflateRaw = promisify(zlib.inflateRaw);
+
+async function decodeBody(buf, encoding) {
+  const enc = (encoding || '').trim().toLowerCase();
+  const opts = { maxOutputLength: MAX_DECODED_BYTES };
+  if (!enc || enc === 'identity') return buf;
+  if (enc === 'gzip' || enc === 'x-gzip') return gunzip(buf, opts);
+  if (enc === 'br') return brotliDecompress(buf, opts);
+  if (enc === 'deflate') { try { return await inflate(buf, opts); } catch (e) { return inflateRaw(buf, opts); } }
+  return null; // unknown encoding (e.g. zstd): size can't be measured
+}
+
+// refused targets: loopback, private, link-local, CGNAT, unspecified, benchmarking, multicast and reserved ranges.
+// BlockList also matches IPv4-mapped IPv6 in any spelling (::ffff:127.0.0.1 and ::ffff:7f00:1)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]].forEach(([a, bits]) => BLOCKED_ADDRESSES.addSubnet(a, bits, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([a, bits]) => BLOCKED_ADDRESSES.addSubnet(a, bits, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return !family || BLOCKED_ADDRESSES.check(address, family); // not an IP address: refuse
+}
+
+/* ---------- Single request with phase timings ---------- */
+// Resolves { status, statusText, httpVersion, headers, headerBytes, body, t } where t holds epoch timestamps
+function requestOnce(url, method) {
+  return new Promise((resolve, reject) => {
+    const isHttps = url.protocol === 'https:';
+    if (!isHttps && url.protocol !== 'http:') return reject(new Error('Unsupported protocol ' + url.protocol));
+    const port = Number(url.port) || (isHttps ? 443 : 80);
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const t = { start: now() };
+    let settled = false;
+    let socket = null;
+    const fail = err => { if (settled) return; settled = true; if (socket) socket.destroy(); reject(err); };
+    const done = res => { if (settled) return; settled = true; resolve(res); };
+    const timer = setTimeout(() => fail(new Error(`Timed out after ${TIMEOUT_MS} ms`)), TIMEOUT_MS);
+
+    // bodies over MAX_BODY_BYTES are cut off and flagged as truncated
+    const collect = (stream, meta) => {
+      const chunks = [];
+      let size = 0;
+      const finish = truncated => {
+        t.end = now();
+        clearTimeout(timer);
+        done(Object.assign(meta, { body: Buffer.concat(chunks), truncated, t }));
+      };
+      stream.on('data', c => {
+        if (!t.firstByte) t.firstByte = now();
+        size += c.length;
+        if (size > MAX_BODY_BYTES) {
+          finish(true);
+          if (socket) socket.destroy();
+          return;
+        }
+        chunks.push(c);
+      });
+      stream.on('end', () => finish(false));
+      stream.on('error', fail);
+    };
+
+    const sendHttp1 = sock => {
+      const req = http.request({
+        createConnection: () => sock,
+        host: url.host,
+        path: url.pathname + url.search,
+        method,
+        headers: { host: url.host, 'user-agent': USER_AGENT, accept: '*/*', 'accept-encoding': 'br, gzip, deflate', connection: 'close' },
+      });
+      req.on('response', res => {
+        t.headers = now();
+        const raw = res.rawHeaders;
+        let headerBytes = `HTTP/${res.httpVersion} ${res.statusCode} ${res.statusMessage}\r\n`.length + 2;
+        for (let i = 0; i < raw.length; i += 2) headerBytes += raw[i].length + raw[i + 1].length + 4;
+        collect(res, { status: res.statusCode, statusText: res.statusMessage || '', httpVersion: 'http/1.1', headers: res.headers, headerBytes });
+      });
+      req.on('error', fail);
+      req.end();
+    };
+
+    const sendHttp2 = tlsSock => {
+      const session = http2.connect(url.origin, { createConnection: () => tlsSock });
+      session.on('error', fail);
+      const req = session.request({ ':method': method, ':path': url.pathname + url.search, 'user-agent': USER_AGENT, accept: '*/*', 'accept-encoding': 'br, gzip, deflate' });
+      req.on('response', headers => {
+        t.headers = now();
+        const out = {};
+        let headerBytes = 0;
+        Object.keys(headers).forEach(k => {
+          headerBytes += k.length + String(headers[k]).length + 4;
+          if (k[0] !== ':') out[k] = headers[k];
+        });
+        collect(req, { status: Number(headers[':status']), statusText: '', httpVersion: 'h2', headers: out, headerBytes });
+      });
+      req.on('end', () => session.close());
+      req.on('error', fail);
+      req.end();
+    };
+
+    dns.lookup(hostname, (err, address, family) => {
+      if (err) return fail(err);
+      // checked on the resolved address so redirects and DNS tricks can't reach the local network either
+      if (!ALLOW_PRIVATE && isPrivateAddress(address)) {
+        return fail(Object.assign(new Error(`Refusing to fetch ${hostname} (${address}): loopback / private / reserved targets need --allow-private`), { status: 403 }));
+      }
+      t.dns = now();
+      socket = net.connect({ host: address, port, family });
+      socket.once('error', fail);
+      socket.once('connect', () => {
+        t.connect = now();
+        if (!isHttps) return sendHttp1(socket);
+        const tlsSock = tls.connect({ socket, servername: net.isIP(hostname) ? undefined : hostname, ALPNProtocols: ['h2', 'http/1.1'] });
+        tlsSock.once('error', fail);
+        tlsSock.once('secureConnect', () => {
+          t.tls = now();
+          if (tlsSock.alpnProtocol === 'h2') sendHttp2(tlsSock);
+          else sendHttp1(tlsSock);
+        });
+      });
+    });
+  });
+}
+
+/* ---------- Measurement (follows redirects) ---------- */
+async function fetchTarget(target, { method = 'GET' } = {}) {
+  let url = new URL(target);
+  const startedAt = now();
+  const redirects = [];
+  for (;;) {
+    const res = await requestOnce(url, method);
+    const location = res.headers.location;
+    if (res.status >= 300 && res.status < 400 && location && redirects.length < MAX_REDIRECTS) {
+      redirects.push({ url: url.href, status: res.status });
+      url = new URL(location, url);
+      continue;
+    }
+    return Object.assign(res, { url: target, finalUrl: url.href, startedAt, redirects });
+  }
+}
+
+async function measurement(res, { withBody = false } = {}) {
+  const t = res.t;
+  const connected = t.tls || t.connect;
+  const firstByte = t.headers || t.firstByte || t.end;
+  const encoding = res.headers['content-encoding'] || '';
+  const mimeType = (res.headers['content-type'] || '').split(';')[0].trim();
+  let decoded = null;
+  if (!res.truncated) {
+    try { decoded = await decodeBody(res.body, encoding); } catch (e) { /* corrupt body or over MAX_DECODED_BYTES */ }
+  }
+
+  const out = {
+    url: res.url,
+    finalUrl: res.finalUrl,
+    startedAt: round(res.startedAt),
+    status: res.status,
+    statusText: res.statusText,
+    httpVersion: res.httpVersion,
+    redirects: res.redirects,
+    headers: res.headers,
+    mimeType,
+    contentEncoding: encoding,
+    timings: {
+      redirect: res.redirects.length ? round(t.start - res.startedAt) : 0,
+      dns: round(t.dns - t.start),
+      connect: round(t.connect - t.dns),
+      tls: t.tls ? round(t.tls - t.connect) : 0,
+      ttfb: round(firstByte - connected),
+      download: round(t.end - firstByte),
+      total: round(t.end - res.startedAt),
+    },
+    size: {
+      headers: res.headerBytes,
+      compressed: res.body.length,
+      uncompressed: decoded ? decoded.length : null,
+      truncated: res.truncated,
+    },
+  };
+  if (withBody && decoded && isTextType(mimeType) && decoded.length <= MAX_TEXT_BODY) out.body = decoded.toString('utf8');
+  return { out, decoded };
+}
+
+/* ---------- HTTP server ---------- */
+// CORS only for an explicitly allowed origin; PerfLab served from here is same-origin
+function corsHeaders(req) {
+  return ALLOW_ORIGIN && req.headers.origin === ALLOW_ORIGIN ? { 'access-control-allow-origin': ALLOW_ORIGIN, vary: 'origin' } : {};
+}
+
+function send(req, res, status, body, headers = {}) {
+  res.writeHead(status, Object.assign({ 'cache-control': 'no-store' }, corsHeaders(req), headers));
+  res.end(body);
+}
+const sendJson = (req, res, status, obj) => send(req, res, status, JSON.stringify(obj), { 'content-type': 'application/json' });
+
+const tokenOk = given => {
+  const a = Buffer.from(String(given || '')), b = Buffer.from(TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const server = http.createServer(async (req, res) => {
+  const u = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') return send(req, res, 204, '', { 'access-control-allow-methods': 'GET', 'access-control-allow-headers': '*' });
+  if (u.pathname === '/health') return sendJson(req, res, 200, { ok: true });
+  if (APP_FILES[u.pathname] && req.method === 'GET') {
+    const [file, type] = APP_FILES[u.pathname];
+    return fs.readFile(path.join(APP_ROOT, file), (err, data) => err ? sendJson(req, res, 404, { error: 'Not found' }) : send(req, res, 200, data, { 'content-type': type }));
+  }
+  if (u.pathname !== '/measure' && u.pathname !== '/raw') return sendJson(req, res, 404, { error: 'Not found' });
+  if (!tokenOk(u.searchParams.get('token'))) {
+    return sendJson(req, res, 401, { error: 'Missing or wrong proxy token: use the proxy URL printed by "node server/proxy.js" (…/?token=…)' });
+  }
+
+  const target = u.searchParams.get('url');
+  try {
+    if (!target || !/^https?:$/.test(new URL(target).protocol)) throw new Error('');
+  } catch (e) { return sendJson(req, res, 400, { error: 'Missing or invalid url parameter (http/https only)' }); }
+
+  try {
+    const method = u.pathname === '/measure' && /^head$/i.test(u.searchParams.get('method') || '') ? 'HEAD' : 'GET';
+    const fetched = await fetchTarget(target, { method });
+    const { out, decoded } = await measurement(fetched, { withBody: u.searchParams.get('body') === '1' });
+    if (u.pathname === '/raw') {
+      if (fetched.truncated) return sendJson(req, res, 413, { error: `Response is larger than ${MAX_BODY_BYTES / 1024 / 1024} MB`, url: target });
+      return send(req, res, fetched.status, decoded || fetched.body, { 'content-type': fetched.headers['content-type'] || 'application/octet-stream' });
+    }
+    sendJson(req, res, 200, out);
+  } catch (err) {
+    sendJson(req, res, err.status || 502, { error: err.message || String(err), code: err.code || null, url: target });
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  const base = `http://${HOST}:${PORT}`;
+  console.log(`PerfLab proxy listening on ${base}`);
+  console.log(`  PerfLab UI:  ${base}/?proxyToken=${TOKEN}`);
+  console.log(`  Proxy URL:   ${base}/?token=${TOKEN}   (paste into PerfLab's Proxy field when PerfLab is served elsewhere)`);
+  if (ALLOW_ORIGIN) console.log(`  CORS allowed for ${ALLOW_ORIGIN}`);
+  if (ALLOW_PRIVATE) console.log('  Loopback / private network targets are allowed');
+});
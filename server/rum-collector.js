@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/* PerfLab RUM collector
+   - Receives the beacons sent by rum.js and appends them to an NDJSON file (one page view per line).
+   - PerfLab's "Field data" view reads them back from /data.
+   - No dependencies: node server/rum-collector.js [--port 8788] [--host 127.0.0.1] [--file perflab-rum.ndjson] [--allow-origin <origins>]
+
+   Endpoints
+     POST /beacon                   -> stores one page view (JSON body, any content type)
+     GET  /data[?since=<epoch ms>]  -> { beacons: [...] }
+     GET  /health                   -> { ok: true, count }
+
+   CORS: /beacon accepts any origin (beacons come from the measured sites). /data and /health are only
+   readable cross-origin by the PerfLab origins listed in --allow-origin / PERFLAB_ALLOW_ORIGIN (comma
+   separated; default: the proxy-served PerfLab at http://127.0.0.1:8787 and http://localhost:8787).
+
+   Env: PORT, HOST, PERFLAB_RUM_FILE, PERFLAB_ALLOW_ORIGIN.
+   Bind to 0.0.0.0 (--host) when real pages on other machines should reach it.
+*/
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+
+const argv = process.argv.slice(2);
+const arg = (name, fallback) => { const i = argv.indexOf('--' + name); return i >= 0 && argv[i + 1] ? argv[i + 1] : fallback; };
+
+const PORT = Number(arg('port', process.env.PORT || 8788));
+const HOST = arg('host', process.env.HOST || '127.0.0.1');
+const FILE = path.resolve(arg('file', process.env.PERFLAB_RUM_FILE || 'perflab-rum.ndjson'));
+const ALLOW_ORIGINS = arg('allow-origin', process.env.PERFLAB_ALLOW_ORIGIN || 'http://127.0.0.1:8787,http://localhost:8787')
+  .split(',').map(o => o.trim()).filter(Boolean);
+const MAX_BODY = 16 * 1024;
+
+const DEVICES = ['mobile', 'tablet', 'desktop'];
+const CONNECTIONS = ['slow-2g', '2g', '3g', '4g', 'unknown'];
+const METRICS = ['lcp', 'cls', 'inp', 'fcp', 'ttfb'];
+
+/* ---------- Beacon validation ---------- */
+// Keep only known fields with sane values; anything else in the body is dropped
+function cleanBeacon(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Beacon must be a JSON object');
+  let url;
+  try { url = new URL(data.url); } catch (e) { throw new Error('Beacon is missing a valid url'); }
+  const out = {
+    id: String(data.id || '').slice(0, 32),
+    ts: Number.isFinite(data.ts) ? data.ts : Date.now(),
+    received: Date.now(),
+    url: url.origin + url.pathname,
+    path: url.pathname,
+    navigationType: typeof data.navigationType === 'string' ? data.navigationType.slice(0, 20) : null,
+    device: DEVICES.includes(data.device) ? data.device : 'desktop',
+    connection: CONNECTIONS.includes(data.connection) ? data.connection : 'unknown',
+  };
+  METRICS.forEach(k => {
+    const v = data[k];
+    out[k] = (typeof v === 'number' && Number.isFinite(v) && v >= 0 && v < 600000) ? Math.round(v * 1000) / 1000 : null;
+  });
+  if (METRICS.every(k => out[k] === null)) throw new Error('Beacon has no metrics');
+  return out;
+}
+
+/* ---------- Storage (NDJSON) ---------- */
+// The file is only ever read as a stream, so /data costs no more memory as it grows; /health uses a running count
+let beaconCount = 0;
+
+// calls onBeacon(beacon, line) for each stored beacon, in order
+async function eachBeacon(onBeacon) {
+  try { await fs.promises.access(FILE); } catch (e) { if (e.code === 'ENOENT') return; throw e; }
+  const lines = readline.createInterface({ input: fs.createReadStream(FILE, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let b;
+    try { b = JSON.parse(line); } catch (e) { continue; } // skip a torn line
+    await onBeacon(b, line);
+  }
+}
+
+function appendBeacon(beacon) {
+  fs.appendFileSync(FILE, JSON.stringify(beacon) + '\n'); // one short line; keeps /data in step with the 204
+  beaconCount++;
+}
+
+/* ---------- HTTP server ---------- */
+// any site may post beacons; only PerfLab may read the stored field data back
+function corsHeaders(req, pathname) {
+  if (pathname === '/beacon') return { 'access-control-allow-origin': '*' };
+  return ALLOW_ORIGINS.includes(req.headers.origin) ? { 'access-control-allow-origin': req.headers.origin, vary: 'origin' } : {};
+}
+
+function send(req, res, status, body, headers = {}) {
+  res.writeHead(status, Object.assign({ 'cache-control': 'no-store' }, corsHeaders(req, new URL(req.url, 'http://localhost').pathname), headers));
+  res.end(body);
+}
+const sendJson = (req, res, status, obj, headers = {}) => send(req, res, status, JSON.stringify(obj), Object.assign({ 'content-type': 'application/json' }, headers));
+
+// { beacons: [...] } written beacon by beacon, waiting for the client to drain
+async function sendBeacons(req, res, since) {
+  res.writeHead(200, Object.assign({ 'content-type': 'application/json', 'cache-control': 'no-store' }, corsHeaders(req, '/data')));
+  res.write('{"beacons":[');
+  let first = true;
+  await eachBeacon(async (b, line) => {
+    if (since && !(b.received > since)) return;
+    if (!res.write((first ? '' : ',') + line)) await once(res, 'drain');
+    first = false;
+  });
+  res.end(']}');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', c => {
+      size += c.length;
+      if (size > MAX_BODY) {
+        // stop reading; the handler closes the connection once the 413 is out
+        req.removeAllListeners('data');
+        req.pause();
+        reject(Object.assign(new Error('Beacon too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const u = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') return send(req, res, 204, '', { 'access-control-allow-methods': 'GET, POST', 'access-control-allow-headers': '*' });
+
+  try {
+    if (u.pathname === '/health') return sendJson(req, res, 200, { ok: true, count: beaconCount });
+    if (u.pathname === '/data' && req.method === 'GET') return await sendBeacons(req, res, Number(u.searchParams.get('since')) || 0);
+    if (u.pathname === '/beacon' && req.method === 'POST') {
+      let beacon;
+      try { beacon = cleanBeacon(JSON.parse(await readBody(req))); } catch (e) {
+        if (e.status === 413) res.on('finish', () => req.socket.destroy()); // don't keep receiving an oversized body
+        return sendJson(req, res, e.status || 400, { error: e.message || String(e) }, e.status === 413 ? { connection: 'close' } : {});
+      }
+      appendBeacon(beacon);
+      return send(req, res, 204, '');
+    }
+    sendJson(req, res, 404, { error: 'Not found' });
+  } catch (err) {
+    if (res.headersSent) res.destroy(); // failed mid-stream
+    else sendJson(req, res, 500, { error: err.message || String(err) });
+  }
+});
+
+// count what is already stored once, then keep the count as beacons arrive
+eachBeacon(() => { beaconCount++; }).then(() => server.listen(PORT, HOST, () => {
+  console.log(`PerfLab RUM collector listening on http://${HOST}:${PORT} (beacons: /beacon, stored in ${FILE})`);
+  console.log(`  Field data readable from ${ALLOW_ORIGINS.join(', ') || 'no other origin'}`);
+}), err => {
+  console.error(`Could not read ${FILE}: ${err.message || err}`);
+  process.exit(1);
+});